@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+
+// Fungsi DeFiLending yang dipakai DToken
+interface IDeFiLendingSupply {
+    function getUserPosition(address user, string memory symbol) external view returns (uint256 supplied, uint256 borrowed);
+    function getAssetTotals(string memory symbol) external view returns (uint256 totalSupplied, uint256 totalBorrowed);
+    function transferSupply(string memory symbol, address from, address to, uint256 amount) external;
+}
+
+/**
+ * @title DToken
+ * @dev Token bukti supply (mis. dDAI) untuk satu asset DeFiLending, dibuat
+ * oleh DeFiLending saat asset ditambahkan. Saldo tidak disimpan di token ini:
+ * balanceOf membaca posisi supply di DeFiLending sehingga ikut bertambah
+ * dengan bunga, dan transfer memindahkan posisi supply tersebut.
+ */
+contract DToken is IERC20Metadata {
+    IDeFiLendingSupply public immutable lending;
+    address public immutable underlying;   // Token ERC20 asset
+    string public underlyingSymbol;        // Symbol asset di DeFiLending
+
+    string private _name;
+    string private _symbol;
+    uint8 private immutable _decimals;
+
+    mapping(address => mapping(address => uint256)) private _allowances;
+
+    modifier onlyLending() {
+        require(msg.sender == address(lending), "Caller is not lending");
+        _;
+    }
+
+    constructor(string memory assetSymbol, address underlyingAddress, uint8 tokenDecimals) {
+        lending = IDeFiLendingSupply(msg.sender);
+        underlying = underlyingAddress;
+        underlyingSymbol = assetSymbol;
+        _name = string(abi.encodePacked("DeFiLending ", assetSymbol));
+        _symbol = string(abi.encodePacked("d", assetSymbol));
+        _decimals = tokenDecimals;
+    }
+
+    function name() external view returns (string memory) {
+        return _name;
+    }
+
+    function symbol() external view returns (string memory) {
+        return _symbol;
+    }
+
+    function decimals() external view returns (uint8) {
+        return _decimals;
+    }
+
+    /**
+     * @dev Total supply asset termasuk bunga
+     */
+    function totalSupply() external view returns (uint256) {
+        (uint256 totalSupplied, ) = lending.getAssetTotals(underlyingSymbol);
+        return totalSupplied;
+    }
+
+    /**
+     * @dev Saldo supply `account` termasuk bunga
+     */
+    function balanceOf(address account) external view returns (uint256) {
+        (uint256 supplied, ) = lending.getUserPosition(account, underlyingSymbol);
+        return supplied;
+    }
+
+    function allowance(address owner, address spender) external view returns (uint256) {
+        return _allowances[owner][spender];
+    }
+
+    function approve(address spender, uint256 amount) external returns (bool) {
+        _allowances[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        uint256 currentAllowance = _allowances[from][msg.sender];
+        if (currentAllowance != type(uint256).max) {
+            require(currentAllowance >= amount, "Insufficient allowance");
+            _allowances[from][msg.sender] = currentAllowance - amount;
+        }
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    /**
+     * @dev Dicatat oleh DeFiLending saat supply, saldo sudah bertambah di sana
+     */
+    function mint(address to, uint256 amount) external onlyLending {
+        emit Transfer(address(0), to, amount);
+    }
+
+    /**
+     * @dev Dicatat oleh DeFiLending saat withdraw atau collateral disita
+     */
+    function burn(address from, uint256 amount) external onlyLending {
+        emit Transfer(from, address(0), amount);
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal {
+        require(to != address(0), "Transfer to zero address");
+
+        // DeFiLending memindahkan posisi dan mengecek health factor pengirim
+        lending.transferSupply(underlyingSymbol, from, to, amount);
+
+        emit Transfer(from, to, amount);
+    }
+}
@@ -3,8 +3,11 @@ pragma solidity ^0.8.0;
 
 import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./DToken.sol";
+import "./IFlashLoanReceiver.sol";
 
 /**
  * @title DeFiLending
@@ -18,26 +21,86 @@ contract DeFiLending is Ownable, ReentrancyGuard {
         uint256 collateralFactor;    // Persentase nilai (basis point, mis. 7500 = 75%)
         uint256 borrowFactor;        // Persentase nilai yang bisa dipinjam (basis point)
         uint256 liquidationThreshold; // Threshold untuk likuidasi (basis point)
-        uint256 totalSupplied;       // Total jumlah token yang disupply
-        uint256 totalBorrowed;       // Total jumlah token yang dipinjam
-        uint256 supplyInterestRate;  // Suku bunga untuk supplier (basis point per tahun)
-        uint256 borrowInterestRate;  // Suku bunga untuk peminjam (basis point per tahun)
+        uint256 totalScaledSupplied; // Total supply dalam unit scaled (dibagi supplyIndex)
+        uint256 totalScaledBorrowed; // Total pinjaman dalam unit scaled (dibagi borrowIndex)
+        uint256 supplyInterestRate;  // Suku bunga supplier saat ini dari rate model (basis point per tahun)
+        uint256 borrowInterestRate;  // Suku bunga peminjam saat ini dari rate model (basis point per tahun)
         bool isActive;               // Status keaktifan asset
+        uint8 decimals;              // Decimals token, untuk normalisasi nilai USD
+        uint256 liquidationBonus;    // Bonus collateral untuk liquidator (basis point, mis. 11000 = 10%)
+    }
+
+    // Model bunga berbasis utilization dengan kink di optimalUtilization
+    // (semua dalam basis point, rate per tahun)
+    struct RateModel {
+        uint256 baseRate;            // Borrow rate saat utilization 0
+        uint256 slope1;              // Kenaikan borrow rate sampai optimalUtilization
+        uint256 slope2;              // Kenaikan borrow rate dari optimalUtilization ke 100%
+        uint256 optimalUtilization;  // Titik kink
+        uint256 reserveFactor;       // Bagian bunga peminjam yang tidak diteruskan ke supplier
+    }
+
+    // Index bunga kumulatif per asset (INDEX_PRECISION = 1.0). Saldo token
+    // = saldo scaled * index, sehingga bunga berlaku untuk semua posisi sekaligus
+    struct AssetIndex {
+        uint256 supplyIndex;
+        uint256 borrowIndex;
+        uint256 lastAccrualTimestamp; // Timestamp terakhir index di-accrue
+    }
+
+    // Batas total supply dan borrow asset dalam token (0 = tanpa batas)
+    struct AssetCaps {
+        uint256 supplyCap;
+        uint256 borrowCap;
     }
 
     // Struktur data untuk informasi posisi pengguna
     struct UserPosition {
-        uint256 supplied;            // Jumlah token yang disupply
-        uint256 borrowed;            // Jumlah token yang dipinjam
-        uint256 lastUpdateTimestamp; // Timestamp terakhir update bunga
+        uint256 scaledSupplied;      // Supply dalam unit scaled
+        uint256 scaledBorrowed;      // Pinjaman dalam unit scaled
+        bool collateralDisabled;     // Supply tidak dihitung sebagai collateral
     }
 
+    uint256 public constant INDEX_PRECISION = 1e18;
+
+    // Aksi yang bisa di-pause guardian, sebagai bit flag
+    uint256 internal constant PAUSE_SUPPLY = 1;
+    uint256 internal constant PAUSE_WITHDRAW = 2;   // Termasuk transfer dToken
+    uint256 internal constant PAUSE_BORROW = 4;     // Termasuk flash loan
+    uint256 internal constant PAUSE_REPAY = 8;
+    uint256 internal constant PAUSE_LIQUIDATE = 16;
+    uint256 internal constant PAUSE_ALL = 31;
+
     // Mapping dari asset symbol ke info asset
     mapping(string => Asset) public assets;
     // List asset symbols yang terdaftar
     string[] public assetSymbols;
     // Mapping dari user address ke asset symbol ke posisi user
     mapping(address => mapping(string => UserPosition)) public userPositions;
+    // Mapping dari asset symbol ke rate model
+    mapping(string => RateModel) public rateModels;
+    // Mapping dari asset symbol ke index bunga
+    mapping(string => AssetIndex) public assetIndexes;
+    // Mapping dari asset symbol ke supply/borrow cap
+    mapping(string => AssetCaps) public assetCaps;
+    // Mapping dari asset symbol ke token bukti supply (mis. dDAI)
+    mapping(string => address) public dTokens;
+    // Mapping dari asset symbol ke reserve protocol (dalam token) dari reserve factor
+    mapping(string => uint256) public reserves;
+    // Alamat penerima reserve yang ditarik owner
+    address public treasury;
+    // Guardian dapat pause aksi dalam keadaan darurat tanpa menunggu owner
+    address public guardian;
+    // Mapping dari asset symbol ke aksi yang di-pause (bit flag PAUSE_*)
+    mapping(string => uint256) public pausedActions;
+    // Aksi yang di-pause untuk semua asset
+    uint256 public globalPausedActions;
+    // Bagian maksimum utang yang bisa direpay dalam satu likuidasi (basis point)
+    uint256 public closeFactor = 5000;
+    // Fee flash loan (basis point, mis. 9 = 0.09%), seluruhnya untuk supplier
+    uint256 public flashLoanFee = 9;
+    // Lock flash loan yang sedang berjalan, mencegah flash loan bersarang
+    bool private _flashLoanActive;
 
     // Events
     event AssetAdded(string symbol, address tokenAddress, address priceFeedAddress);
@@ -46,9 +109,39 @@ contract DeFiLending is Ownable, ReentrancyGuard {
     event Withdrawn(address indexed user, string symbol, uint256 amount);
     event Borrowed(address indexed user, string symbol, uint256 amount);
     event Repaid(address indexed user, string symbol, uint256 amount);
-    event Liquidated(address indexed liquidator, address indexed borrower, string symbol, uint256 amount);
-
-    constructor() Ownable(msg.sender) {}
+    event CollateralToggled(address indexed user, string symbol, bool enabled);
+    event SupplyTransferred(address indexed from, address indexed to, string symbol, uint256 amount);
+    event Liquidated(
+        address indexed liquidator,
+        address indexed borrower,
+        string symbol,
+        string collateralSymbol,
+        uint256 amount,
+        uint256 collateralSeized
+    );
+    event LiquidationBonusUpdated(string symbol, uint256 liquidationBonus);
+    event AssetCapsUpdated(string symbol, uint256 supplyCap, uint256 borrowCap);
+    event RateModelUpdated(
+        string symbol,
+        uint256 baseRate,
+        uint256 slope1,
+        uint256 slope2,
+        uint256 optimalUtilization,
+        uint256 reserveFactor
+    );
+    event CloseFactorUpdated(uint256 closeFactor);
+    event FlashLoan(address indexed receiver, address indexed initiator, string symbol, uint256 amount, uint256 fee);
+    event FlashLoanFeeUpdated(uint256 flashLoanFee);
+    event ReservesAccrued(string symbol, uint256 amount, uint256 totalReserves);
+    event ReservesWithdrawn(string symbol, address indexed treasury, uint256 amount, uint256 totalReserves);
+    event TreasuryUpdated(address treasury);
+    event GuardianUpdated(address guardian);
+    event AssetPauseUpdated(string symbol, uint256 pausedActions);
+    event GlobalPauseUpdated(uint256 pausedActions);
+
+    constructor() Ownable(msg.sender) {
+        treasury = msg.sender;
+    }
 
     /**
      * @dev Tambahkan asset baru ke platform
@@ -60,13 +153,10 @@ contract DeFiLending is Ownable, ReentrancyGuard {
         uint256 collateralFactor,
         uint256 borrowFactor,
         uint256 liquidationThreshold,
-        uint256 supplyInterestRate,
-        uint256 borrowInterestRate
+        RateModel memory rateModel
     ) external onlyOwner {
         require(assets[symbol].tokenAddress == address(0), "Asset already exists");
-        require(collateralFactor <= 9000, "Collateral factor too high");
-        require(borrowFactor <= collateralFactor, "Borrow factor too high");
-        require(liquidationThreshold > collateralFactor, "Invalid liquidation threshold");
+        _validateRiskParams(collateralFactor, borrowFactor, liquidationThreshold);
 
         assets[symbol] = Asset({
             tokenAddress: tokenAddress,
@@ -74,16 +164,28 @@ contract DeFiLending is Ownable, ReentrancyGuard {
             collateralFactor: collateralFactor,
             borrowFactor: borrowFactor,
             liquidationThreshold: liquidationThreshold,
-            totalSupplied: 0,
-            totalBorrowed: 0,
-            supplyInterestRate: supplyInterestRate,
-            borrowInterestRate: borrowInterestRate,
-            isActive: true
+            totalScaledSupplied: 0,
+            totalScaledBorrowed: 0,
+            supplyInterestRate: 0,
+            borrowInterestRate: 0,
+            isActive: true,
+            decimals: IERC20Metadata(tokenAddress).decimals(),
+            liquidationBonus: 11000
         });
 
+        assetIndexes[symbol] = AssetIndex({
+            supplyIndex: INDEX_PRECISION,
+            borrowIndex: INDEX_PRECISION,
+            lastAccrualTimestamp: block.timestamp
+        });
+
+        dTokens[symbol] = address(new DToken(symbol, tokenAddress, assets[symbol].decimals));
+
         assetSymbols.push(symbol);
 
         emit AssetAdded(symbol, tokenAddress, priceFeedAddress);
+
+        _setRateModel(symbol, rateModel);
     }
 
     /**
@@ -94,32 +196,183 @@ contract DeFiLending is Ownable, ReentrancyGuard {
         uint256 collateralFactor,
         uint256 borrowFactor,
         uint256 liquidationThreshold,
-        uint256 supplyInterestRate,
-        uint256 borrowInterestRate,
         bool isActive
     ) external onlyOwner {
-        require(assets[symbol].tokenAddress != address(0), "Asset does not exist");
-        require(collateralFactor <= 9000, "Collateral factor too high");
-        require(borrowFactor <= collateralFactor, "Borrow factor too high");
-        require(liquidationThreshold > collateralFactor, "Invalid liquidation threshold");
+        _requireAsset(symbol);
+        _validateRiskParams(collateralFactor, borrowFactor, liquidationThreshold);
 
         Asset storage asset = assets[symbol];
         asset.collateralFactor = collateralFactor;
         asset.borrowFactor = borrowFactor;
         asset.liquidationThreshold = liquidationThreshold;
-        asset.supplyInterestRate = supplyInterestRate;
-        asset.borrowInterestRate = borrowInterestRate;
         asset.isActive = isActive;
 
         emit AssetUpdated(symbol, collateralFactor, borrowFactor, liquidationThreshold);
     }
 
+    /**
+     * @dev Validasi collateral factor, borrow factor dan liquidation threshold
+     */
+    function _validateRiskParams(
+        uint256 collateralFactor,
+        uint256 borrowFactor,
+        uint256 liquidationThreshold
+    ) internal pure {
+        require(collateralFactor <= 9000, "Collateral factor too high");
+        require(borrowFactor <= collateralFactor, "Borrow factor too high");
+        require(liquidationThreshold > collateralFactor, "Invalid liquidation threshold");
+    }
+
+    /**
+     * @dev Update supply dan borrow cap sebuah asset (0 = tanpa batas). Cap
+     * di bawah total saat ini hanya menahan supply/borrow baru.
+     */
+    function setAssetCaps(string memory symbol, uint256 supplyCap, uint256 borrowCap) external onlyOwner {
+        _requireAsset(symbol);
+
+        assetCaps[symbol] = AssetCaps({supplyCap: supplyCap, borrowCap: borrowCap});
+
+        emit AssetCapsUpdated(symbol, supplyCap, borrowCap);
+    }
+
+    /**
+     * @dev Update guardian, address(0) menghapus guardian (owner tetap bisa pause)
+     */
+    function setGuardian(address newGuardian) external onlyOwner {
+        guardian = newGuardian;
+
+        emit GuardianUpdated(newGuardian);
+    }
+
+    /**
+     * @dev Set aksi yang di-pause untuk satu asset (bit flag PAUSE_*, 0 = tidak ada)
+     */
+    function setAssetPause(string memory symbol, uint256 actions) external {
+        _checkPauseUpdate(actions);
+        _requireAsset(symbol);
+
+        pausedActions[symbol] = actions;
+
+        emit AssetPauseUpdated(symbol, actions);
+    }
+
+    /**
+     * @dev Set aksi yang di-pause untuk semua asset
+     */
+    function setGlobalPause(uint256 actions) external {
+        _checkPauseUpdate(actions);
+
+        globalPausedActions = actions;
+
+        emit GlobalPauseUpdated(actions);
+    }
+
+    /**
+     * @dev Pause hanya bisa diubah guardian atau owner, dengan bit flag yang valid
+     */
+    function _checkPauseUpdate(uint256 actions) internal view {
+        require(msg.sender == guardian || msg.sender == owner(), "Caller is not guardian");
+        require(actions <= PAUSE_ALL, "Invalid actions");
+    }
+
+    function _requireAsset(string memory symbol) internal view {
+        require(assets[symbol].tokenAddress != address(0), "Asset does not exist");
+    }
+
+    /**
+     * @dev Cek aksi user: asset yang tidak aktif hanya menolak exposure baru
+     * (supply, borrow, flash loan), aksi yang di-pause guardian selalu ditolak
+     */
+    function _requireAction(string memory symbol, uint256 action, uint256 amount) internal view {
+        if (action & (PAUSE_SUPPLY | PAUSE_BORROW) != 0) {
+            require(assets[symbol].isActive, "Asset not active");
+        }
+        _requireNotPaused(symbol, action);
+        require(amount > 0, "Amount must be greater than 0");
+    }
+
+    function _requireNotPaused(string memory symbol, uint256 action) internal view {
+        require(((pausedActions[symbol] | globalPausedActions) & action) == 0, "Action paused");
+    }
+
+    /**
+     * @dev Update rate model sebuah asset, rate saat ini langsung dihitung ulang
+     */
+    function setRateModel(string memory symbol, RateModel memory rateModel) external onlyOwner {
+        _requireAsset(symbol);
+        // Bunga sampai sekarang dihitung dengan rate lama
+        _accrueInterest(symbol);
+        _setRateModel(symbol, rateModel);
+    }
+
+    function _setRateModel(string memory symbol, RateModel memory rateModel) internal {
+        require(
+            rateModel.optimalUtilization > 0 && rateModel.optimalUtilization < 10000,
+            "Invalid optimal utilization"
+        );
+        require(rateModel.reserveFactor < 10000, "Invalid reserve factor");
+
+        rateModels[symbol] = rateModel;
+        _updateRates(symbol);
+
+        emit RateModelUpdated(
+            symbol,
+            rateModel.baseRate,
+            rateModel.slope1,
+            rateModel.slope2,
+            rateModel.optimalUtilization,
+            rateModel.reserveFactor
+        );
+    }
+
+    /**
+     * @dev Utilization asset saat ini (basis point)
+     */
+    function getUtilization(string memory symbol) public view returns (uint256) {
+        (uint256 totalSupplied, uint256 totalBorrowed) = _getTotals(symbol);
+        if (totalSupplied == 0) return 0;
+        uint256 utilization = (totalBorrowed * 10000) / totalSupplied;
+        return utilization > 10000 ? 10000 : utilization;
+    }
+
+    /**
+     * @dev Borrow rate dari rate model pada utilization tertentu: naik landai
+     * sampai optimalUtilization lalu curam sesudahnya
+     */
+    function getBorrowRate(string memory symbol, uint256 utilization) public view returns (uint256) {
+        RateModel storage model = rateModels[symbol];
+        if (utilization <= model.optimalUtilization) {
+            return model.baseRate + (utilization * model.slope1) / model.optimalUtilization;
+        }
+        return model.baseRate + model.slope1 +
+            ((utilization - model.optimalUtilization) * model.slope2) / (10000 - model.optimalUtilization);
+    }
+
+    /**
+     * @dev Supply rate pada utilization tertentu: bunga peminjam dibagi ke
+     * seluruh supply setelah dipotong reserve factor
+     */
+    function getSupplyRate(string memory symbol, uint256 utilization) public view returns (uint256) {
+        uint256 borrowRate = getBorrowRate(symbol, utilization);
+        return (borrowRate * utilization * (10000 - rateModels[symbol].reserveFactor)) / (10000 * 10000);
+    }
+
+    /**
+     * @dev Simpan rate saat ini setelah total supply/borrow berubah
+     */
+    function _updateRates(string memory symbol) internal {
+        Asset storage asset = assets[symbol];
+        uint256 utilization = getUtilization(symbol);
+        asset.borrowInterestRate = getBorrowRate(symbol, utilization);
+        asset.supplyInterestRate = getSupplyRate(symbol, utilization);
+    }
+
     /**
      * @dev Mendapatkan harga asset dari Chainlink oracle
      */
     function getAssetPrice(string memory symbol) public view returns (uint256) {
         Asset storage asset = assets[symbol];
-        require(asset.tokenAddress != address(0), "Asset does not exist");
+        _requireAsset(symbol);
         
         AggregatorV3Interface priceFeed = AggregatorV3Interface(asset.priceFeedAddress);
         (, int256 price, , , ) = priceFeed.latestRoundData();
@@ -133,44 +386,53 @@ contract DeFiLending is Ownable, ReentrancyGuard {
      */
     function supply(string memory symbol, uint256 amount) external nonReentrant {
         Asset storage asset = assets[symbol];
-        require(asset.isActive, "Asset not active");
-        require(amount > 0, "Amount must be greater than 0");
+        _requireAction(symbol, PAUSE_SUPPLY, amount);
 
         // Update interest first
-        _updateInterest(symbol, msg.sender);
+        _accrueInterest(symbol);
+
+        uint256 supplyCap = assetCaps[symbol].supplyCap;
+        if (supplyCap > 0) {
+            (uint256 totalSupplied, ) = _getTotals(symbol);
+            require(totalSupplied + amount <= supplyCap, "Supply cap exceeded");
+        }
 
         // Transfer token dari user ke kontrak
         IERC20 token = IERC20(asset.tokenAddress);
         require(token.transferFrom(msg.sender, address(this), amount), "Transfer failed");
 
-        // Update user position dan total supply
-        userPositions[msg.sender][symbol].supplied += amount;
-        asset.totalSupplied += amount;
+        // Update user position dan total supply (dibulatkan ke bawah)
+        uint256 scaledAmount = _toScaled(amount, assetIndexes[symbol].supplyIndex, false);
+        userPositions[msg.sender][symbol].scaledSupplied += scaledAmount;
+        asset.totalScaledSupplied += scaledAmount;
+        _updateRates(symbol);
+        DToken(dTokens[symbol]).mint(msg.sender, amount);
 
         emit Supplied(msg.sender, symbol, amount);
     }
 
     /**
-     * @dev Menarik token yang telah disediakan
+     * @dev Menarik token yang telah disediakan, tetap bisa untuk asset
+     * yang tidak aktif kecuali di-pause guardian
      */
     function withdraw(string memory symbol, uint256 amount) external nonReentrant {
         Asset storage asset = assets[symbol];
-        UserPosition storage position = userPositions[msg.sender][symbol];
         
-        require(asset.isActive, "Asset not active");
-        require(amount > 0, "Amount must be greater than 0");
-        require(position.supplied >= amount, "Insufficient balance");
+        _requireAction(symbol, PAUSE_WITHDRAW, amount);
 
         // Update interest first
-        _updateInterest(symbol, msg.sender);
+        _accrueInterest(symbol);
 
-        // Check if withdrawal would violate health factor
-        uint256 newSupplied = position.supplied - amount;
-        require(_checkHealthFactor(symbol, msg.sender, newSupplied, position.borrowed), "Health factor too low");
+        (uint256 supplied, ) = _getCurrentPosition(symbol, msg.sender);
+        require(supplied >= amount, "Insufficient balance");
 
         // Update user position dan total supply
-        position.supplied = newSupplied;
-        asset.totalSupplied -= amount;
+        _reduceSupply(symbol, msg.sender, amount);
+        _updateRates(symbol);
+        DToken(dTokens[symbol]).burn(msg.sender, amount);
+
+        // Check if withdrawal would violate health factor
+        require(_checkHealthFactor(msg.sender), "Health factor too low");
 
         // Transfer token ke user
         IERC20 token = IERC20(asset.tokenAddress);
@@ -179,26 +441,46 @@ contract DeFiLending is Ownable, ReentrancyGuard {
         emit Withdrawn(msg.sender, symbol, amount);
     }
 
+    /**
+     * @dev Pakai atau berhenti memakai supply asset sebagai collateral. Supply
+     * yang bukan collateral tetap mendapat bunga dan tidak bisa disita saat
+     * likuidasi; menonaktifkan ditolak jika akun menjadi tidak sehat.
+     */
+    function setCollateralEnabled(string memory symbol, bool enabled) external nonReentrant {
+        _requireAsset(symbol);
+
+        userPositions[msg.sender][symbol].collateralDisabled = !enabled;
+        if (!enabled) {
+            require(_checkHealthFactor(msg.sender), "Health factor too low");
+        }
+
+        emit CollateralToggled(msg.sender, symbol, enabled);
+    }
+
     /**
      * @dev Meminjam token dari platform
      */
     function borrow(string memory symbol, uint256 amount) external nonReentrant {
         Asset storage asset = assets[symbol];
         
-        require(asset.isActive, "Asset not active");
-        require(amount > 0, "Amount must be greater than 0");
-        require(asset.totalSupplied - asset.totalBorrowed >= amount, "Insufficient liquidity");
+        _requireAction(symbol, PAUSE_BORROW, amount);
 
         // Update interest first
-        _updateInterest(symbol, msg.sender);
+        _accrueInterest(symbol);
 
-        // Check health factor
-        UserPosition storage position = userPositions[msg.sender][symbol];
-        require(_checkHealthFactor(symbol, msg.sender, position.supplied, position.borrowed + amount), "Health factor too low");
+        (uint256 totalSupplied, uint256 totalBorrowed) = _getTotals(symbol);
+        require(totalSupplied >= totalBorrowed + amount, "Insufficient liquidity");
+        uint256 borrowCap = assetCaps[symbol].borrowCap;
+        require(borrowCap == 0 || totalBorrowed + amount <= borrowCap, "Borrow cap exceeded");
 
-        // Update user position dan total borrowed
-        position.borrowed += amount;
-        asset.totalBorrowed += amount;
+        // Update user position dan total borrowed (utang dibulatkan ke atas)
+        uint256 scaledAmount = _toScaled(amount, assetIndexes[symbol].borrowIndex, true);
+        userPositions[msg.sender][symbol].scaledBorrowed += scaledAmount;
+        asset.totalScaledBorrowed += scaledAmount;
+        _updateRates(symbol);
+
+        // Check health factor
+        require(_checkHealthFactor(msg.sender), "Health factor too low");
 
         // Transfer token ke user
         IERC20 token = IERC20(asset.tokenAddress);
@@ -208,156 +490,445 @@ contract DeFiLending is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Membayar kembali pinjaman
+     * @dev Membayar kembali pinjaman, tetap bisa untuk asset yang tidak
+     * aktif kecuali di-pause guardian
      */
     function repay(string memory symbol, uint256 amount) external nonReentrant {
         Asset storage asset = assets[symbol];
-        UserPosition storage position = userPositions[msg.sender][symbol];
         
-        require(asset.isActive, "Asset not active");
-        require(amount > 0, "Amount must be greater than 0");
-        require(position.borrowed > 0, "No outstanding loan");
+        _requireAction(symbol, PAUSE_REPAY, amount);
+        require(userPositions[msg.sender][symbol].scaledBorrowed > 0, "No outstanding loan");
 
         // Update interest first
-        _updateInterest(symbol, msg.sender);
+        _accrueInterest(symbol);
 
         // Calculate actual repay amount
-        uint256 repayAmount = amount > position.borrowed ? position.borrowed : amount;
+        (, uint256 borrowed) = _getCurrentPosition(symbol, msg.sender);
+        uint256 repayAmount = amount > borrowed ? borrowed : amount;
 
         // Transfer token dari user ke kontrak
         IERC20 token = IERC20(asset.tokenAddress);
         require(token.transferFrom(msg.sender, address(this), repayAmount), "Transfer failed");
 
         // Update user position dan total borrowed
-        position.borrowed -= repayAmount;
-        asset.totalBorrowed -= repayAmount;
+        _reduceDebt(symbol, msg.sender, repayAmount, borrowed);
+        _updateRates(symbol);
 
         emit Repaid(msg.sender, symbol, repayAmount);
     }
 
     /**
-     * @dev Likuidasi posisi yang tidak sehat
+     * @dev Likuidasi posisi yang tidak sehat: repay utang `debtSymbol` dan
+     * ambil collateral `collateralSymbol` senilai repay ditambah bonus.
+     * Asset yang tidak aktif tetap bisa dilikuidasi kecuali di-pause guardian.
      */
-    function liquidate(address borrower, string memory symbol, uint256 amount) external nonReentrant {
-        Asset storage asset = assets[symbol];
-        UserPosition storage position = userPositions[borrower][symbol];
-        
-        require(asset.isActive, "Asset not active");
-        require(amount > 0, "Amount must be greater than 0");
-        require(position.borrowed > 0, "No outstanding loan");
+    function liquidate(
+        address borrower,
+        string memory debtSymbol,
+        string memory collateralSymbol,
+        uint256 amount
+    ) external nonReentrant {
+        Asset storage debtAsset = assets[debtSymbol];
+        Asset storage collateralAsset = assets[collateralSymbol];
+
+        _requireAction(debtSymbol, PAUSE_LIQUIDATE, amount);
+        _requireNotPaused(collateralSymbol, PAUSE_LIQUIDATE);
+        require(userPositions[borrower][debtSymbol].scaledBorrowed > 0, "No outstanding loan");
+        require(!userPositions[borrower][collateralSymbol].collateralDisabled, "Asset not used as collateral");
 
         // Update interest first
-        _updateInterest(symbol, borrower);
+        _accrueInterest(debtSymbol);
+        _accrueInterest(collateralSymbol);
 
         // Check if position is liquidatable
-        require(!_isHealthy(symbol, borrower), "Position is healthy");
+        require(!_isHealthy(borrower), "Position is healthy");
 
-        // Calculate actual liquidation amount
-        uint256 liquidationAmount = amount > position.borrowed ? position.borrowed : amount;
-        
-        // Calculate collateral to seize (with liquidation bonus)
-        uint256 assetPrice = getAssetPrice(symbol);
-        uint256 collateralToSeize = (liquidationAmount * assetPrice * 11000) / (assetPrice * 10000); // 10% bonus
-        
-        require(collateralToSeize <= position.supplied, "Insufficient collateral");
+        // Repay dibatasi close factor dari utang asset tersebut
+        (, uint256 borrowed) = _getCurrentPosition(debtSymbol, borrower);
+        uint256 maxLiquidation = (borrowed * closeFactor) / 10000;
+        uint256 liquidationAmount = amount > maxLiquidation ? maxLiquidation : amount;
+        require(liquidationAmount > 0, "Liquidation amount too small");
+
+        uint256 collateralToSeize = getCollateralToSeize(debtSymbol, collateralSymbol, liquidationAmount);
+        (uint256 collateralSupplied, ) = _getCurrentPosition(collateralSymbol, borrower);
+        require(collateralToSeize <= collateralSupplied, "Insufficient collateral");
 
         // Transfer repayment from liquidator
-        IERC20 token = IERC20(asset.tokenAddress);
-        require(token.transferFrom(msg.sender, address(this), liquidationAmount), "Transfer failed");
+        require(
+            IERC20(debtAsset.tokenAddress).transferFrom(msg.sender, address(this), liquidationAmount),
+            "Transfer failed"
+        );
 
         // Update borrower position
-        position.borrowed -= liquidationAmount;
-        position.supplied -= collateralToSeize;
-        asset.totalBorrowed -= liquidationAmount;
-        asset.totalSupplied -= collateralToSeize;
+        _reduceDebt(debtSymbol, borrower, liquidationAmount, borrowed);
+        _reduceSupply(collateralSymbol, borrower, collateralToSeize);
+        DToken(dTokens[collateralSymbol]).burn(borrower, collateralToSeize);
+        _updateRates(debtSymbol);
+        _updateRates(collateralSymbol);
 
         // Transfer seized collateral to liquidator
-        require(token.transfer(msg.sender, collateralToSeize), "Collateral transfer failed");
+        require(
+            IERC20(collateralAsset.tokenAddress).transfer(msg.sender, collateralToSeize),
+            "Collateral transfer failed"
+        );
+
+        emit Liquidated(msg.sender, borrower, debtSymbol, collateralSymbol, liquidationAmount, collateralToSeize);
+    }
+
+    /**
+     * @dev Jumlah collateral yang diterima liquidator untuk repay `amount`
+     * utang, dinilai dengan harga oracle kedua asset plus liquidationBonus
+     * dari asset collateral
+     */
+    function getCollateralToSeize(
+        string memory debtSymbol,
+        string memory collateralSymbol,
+        uint256 amount
+    ) public view returns (uint256) {
+        Asset storage debtAsset = assets[debtSymbol];
+        Asset storage collateralAsset = assets[collateralSymbol];
+
+        uint256 repayValue = (amount * getAssetPrice(debtSymbol)) / (10 ** debtAsset.decimals);
+        return (repayValue * collateralAsset.liquidationBonus * (10 ** collateralAsset.decimals)) /
+            (getAssetPrice(collateralSymbol) * 10000);
+    }
+
+    /**
+     * @dev Update bonus likuidasi sebuah asset collateral
+     */
+    function setLiquidationBonus(string memory symbol, uint256 liquidationBonus) external onlyOwner {
+        _requireAsset(symbol);
+        require(liquidationBonus >= 10000 && liquidationBonus <= 15000, "Invalid liquidation bonus");
+
+        assets[symbol].liquidationBonus = liquidationBonus;
 
-        emit Liquidated(msg.sender, borrower, symbol, liquidationAmount);
+        emit LiquidationBonusUpdated(symbol, liquidationBonus);
     }
 
     /**
-     * @dev Calculate and update interest
+     * @dev Update close factor untuk semua likuidasi
      */
-    function _updateInterest(string memory symbol, address user) internal {
+    function setCloseFactor(uint256 newCloseFactor) external onlyOwner {
+        require(newCloseFactor > 0 && newCloseFactor <= 10000, "Invalid close factor");
+
+        closeFactor = newCloseFactor;
+
+        emit CloseFactorUpdated(newCloseFactor);
+    }
+
+    /**
+     * @dev Update alamat treasury penerima reserve
+     */
+    function setTreasury(address newTreasury) external onlyOwner {
+        require(newTreasury != address(0), "Invalid treasury");
+
+        treasury = newTreasury;
+
+        emit TreasuryUpdated(newTreasury);
+    }
+
+    /**
+     * @dev Tarik reserve asset ke treasury. Reserve tercatat dari bunga yang
+     * belum tentu sudah dibayar peminjam, jadi dibatasi saldo token kontrak.
+     */
+    function withdrawReserves(string memory symbol, uint256 amount) external onlyOwner nonReentrant {
         Asset storage asset = assets[symbol];
-        UserPosition storage position = userPositions[user][symbol];
-        
-        if (position.lastUpdateTimestamp == 0) {
-            position.lastUpdateTimestamp = block.timestamp;
-            return;
-        }
+        _requireAsset(symbol);
+        require(amount > 0, "Amount must be greater than 0");
+
+        // Update interest first
+        _accrueInterest(symbol);
+        require(amount <= reserves[symbol], "Insufficient reserves");
 
-        uint256 timeElapsed = block.timestamp - position.lastUpdateTimestamp;
-        if (timeElapsed == 0) return;
+        IERC20 token = IERC20(asset.tokenAddress);
+        require(amount <= token.balanceOf(address(this)), "Insufficient liquidity");
 
-        // Calculate supply interest (simple interest for simplicity)
-        if (position.supplied > 0) {
-            uint256 supplyInterest = (position.supplied * asset.supplyInterestRate * timeElapsed) / (10000 * 365 days);
-            position.supplied += supplyInterest;
-            asset.totalSupplied += supplyInterest;
-        }
+        reserves[symbol] -= amount;
+        require(token.transfer(treasury, amount), "Transfer failed");
 
-        // Calculate borrow interest
-        if (position.borrowed > 0) {
-            uint256 borrowInterest = (position.borrowed * asset.borrowInterestRate * timeElapsed) / (10000 * 365 days);
-            position.borrowed += borrowInterest;
-            asset.totalBorrowed += borrowInterest;
-        }
+        emit ReservesWithdrawn(symbol, treasury, amount, reserves[symbol]);
+    }
 
-        position.lastUpdateTimestamp = block.timestamp;
+    /**
+     * @dev Get reserve asset termasuk bagian bunga sampai sekarang
+     */
+    function getReserves(string memory symbol) external view returns (uint256) {
+        return reserves[symbol] + _getPendingReserves(symbol);
     }
 
     /**
-     * @dev Check if position remains healthy after action
+     * @dev Bagian reserve dari bunga peminjam sejak accrual terakhir:
+     * pertambahan total utang dikali reserve factor
      */
-    function _checkHealthFactor(
+    function _getPendingReserves(string memory symbol) internal view returns (uint256) {
+        uint256 totalScaledBorrowed = assets[symbol].totalScaledBorrowed;
+        (, uint256 borrowIndex) = _getCurrentIndexes(symbol);
+        uint256 borrowInterest = _fromScaled(totalScaledBorrowed, borrowIndex, false) -
+            _fromScaled(totalScaledBorrowed, assetIndexes[symbol].borrowIndex, false);
+        return (borrowInterest * rateModels[symbol].reserveFactor) / 10000;
+    }
+
+    /**
+     * @dev Pinjam likuiditas asset untuk satu transaksi. Token dikirim ke
+     * `receiver`, executeOperation dipanggil, lalu `amount + fee` ditarik
+     * kembali dengan transferFrom. Tidak nonReentrant supaya receiver bisa
+     * memakai pinjaman di fungsi lain (mis. liquidate) dalam callback, tapi
+     * flash loan bersarang ditolak lewat lock tersendiri. Receiver wajib
+     * mengecek `initiator`, karena siapa pun bisa memanggil flashLoan dengan
+     * receiver mana pun.
+     */
+    function flashLoan(
+        address receiver,
         string memory symbol,
-        address user,
-        uint256 supplied,
-        uint256 borrowed
-    ) internal view returns (bool) {
-        if (borrowed == 0) return true;
-        
+        uint256 amount,
+        bytes calldata params
+    ) external {
+        require(!_flashLoanActive, "Flash loan in progress");
         Asset storage asset = assets[symbol];
-        uint256 assetPrice = getAssetPrice(symbol);
-        
-        uint256 collateralValue = (supplied * assetPrice * asset.collateralFactor) / 10000;
-        uint256 borrowValue = borrowed * assetPrice;
-        
-        return collateralValue >= borrowValue;
+        _requireAction(symbol, PAUSE_BORROW, amount);
+
+        IERC20 token = IERC20(asset.tokenAddress);
+        require(amount <= token.balanceOf(address(this)), "Insufficient liquidity");
+
+        // Update interest sebelum token keluar, supaya callback melihat index terbaru
+        _accrueInterest(symbol);
+        _flashLoanActive = true;
+
+        uint256 fee = (amount * flashLoanFee) / 10000;
+        require(token.transfer(receiver, amount), "Transfer failed");
+        require(
+            IFlashLoanReceiver(receiver).executeOperation(symbol, asset.tokenAddress, amount, fee, msg.sender, params),
+            "Flash loan callback failed"
+        );
+        require(token.transferFrom(receiver, address(this), amount + fee), "Flash loan not repaid");
+
+        _flashLoanActive = false;
+
+        // Fee menjadi bunga untuk semua supplier
+        _distributeToSuppliers(symbol, fee);
+        _updateRates(symbol);
+
+        emit FlashLoan(receiver, msg.sender, symbol, amount, fee);
     }
 
     /**
-     * @dev Check if position is healthy (not liquidatable)
+     * @dev Update fee flash loan untuk semua asset (maksimal 1%)
      */
-    function _isHealthy(string memory symbol, address user) internal view returns (bool) {
-        UserPosition storage position = userPositions[user][symbol];
-        if (position.borrowed == 0) return true;
-        
+    function setFlashLoanFee(uint256 newFlashLoanFee) external onlyOwner {
+        require(newFlashLoanFee <= 100, "Invalid flash loan fee");
+
+        flashLoanFee = newFlashLoanFee;
+
+        emit FlashLoanFeeUpdated(newFlashLoanFee);
+    }
+
+    /**
+     * @dev Naikkan supplyIndex sehingga `amount` token terbagi ke semua
+     * supplier sesuai saldonya
+     */
+    function _distributeToSuppliers(string memory symbol, uint256 amount) internal {
+        (uint256 totalSupplied, ) = _getTotals(symbol);
+        if (amount == 0 || totalSupplied == 0) return;
+
+        AssetIndex storage index = assetIndexes[symbol];
+        index.supplyIndex += (index.supplyIndex * amount) / totalSupplied;
+    }
+
+    /**
+     * @dev Index bunga sampai block.timestamp: index tumbuh dengan rate saat
+     * ini sejak accrual terakhir, dan bunga ini ikut ter-compound setiap kali
+     * index di-accrue
+     */
+    function _getCurrentIndexes(string memory symbol) internal view returns (uint256 supplyIndex, uint256 borrowIndex) {
         Asset storage asset = assets[symbol];
-        uint256 assetPrice = getAssetPrice(symbol);
-        
-        uint256 collateralValue = (position.supplied * assetPrice * asset.liquidationThreshold) / 10000;
-        uint256 borrowValue = position.borrowed * assetPrice;
-        
-        return collateralValue >= borrowValue;
+        AssetIndex storage index = assetIndexes[symbol];
+        uint256 timeElapsed = block.timestamp - index.lastAccrualTimestamp;
+
+        supplyIndex = index.supplyIndex +
+            (index.supplyIndex * asset.supplyInterestRate * timeElapsed) / (10000 * 365 days);
+        borrowIndex = index.borrowIndex +
+            (index.borrowIndex * asset.borrowInterestRate * timeElapsed) / (10000 * 365 days);
     }
 
     /**
-     * @dev Get user's health factor
+     * @dev Get supply dan borrow index asset termasuk bunga sampai sekarang
      */
-    function getUserHealthFactor(string memory symbol, address user) external view returns (uint256) {
-        UserPosition storage position = userPositions[user][symbol];
-        if (position.borrowed == 0) return type(uint256).max; // Max value if no debt
-        
+    function getAssetIndexes(string memory symbol) external view returns (uint256 supplyIndex, uint256 borrowIndex) {
+        return _getCurrentIndexes(symbol);
+    }
+
+    /**
+     * @dev Simpan index terbaru dan bagian reserve dari bunga, dipanggil
+     * sebelum saldo atau rate berubah
+     */
+    function _accrueInterest(string memory symbol) internal {
+        AssetIndex storage index = assetIndexes[symbol];
+        if (index.lastAccrualTimestamp == block.timestamp) return;
+
+        uint256 reserveAmount = _getPendingReserves(symbol);
+        (index.supplyIndex, index.borrowIndex) = _getCurrentIndexes(symbol);
+        index.lastAccrualTimestamp = block.timestamp;
+
+        if (reserveAmount > 0) {
+            reserves[symbol] += reserveAmount;
+            emit ReservesAccrued(symbol, reserveAmount, reserves[symbol]);
+        }
+    }
+
+    function _toScaled(uint256 amount, uint256 index, bool roundUp) internal pure returns (uint256) {
+        uint256 scaled = (amount * INDEX_PRECISION) / index;
+        if (roundUp && (scaled * index) / INDEX_PRECISION < amount) scaled += 1;
+        return scaled;
+    }
+
+    function _fromScaled(uint256 scaled, uint256 index, bool roundUp) internal pure returns (uint256) {
+        if (scaled == 0) return 0;
+        uint256 amount = (scaled * index) / INDEX_PRECISION;
+        if (roundUp && (amount * INDEX_PRECISION) / index < scaled) amount += 1;
+        return amount;
+    }
+
+    /**
+     * @dev Total supply dan borrow asset dalam token, termasuk bunga sampai sekarang
+     */
+    function _getTotals(string memory symbol) internal view returns (uint256 totalSupplied, uint256 totalBorrowed) {
         Asset storage asset = assets[symbol];
-        uint256 assetPrice = getAssetPrice(symbol);
-        
-        uint256 collateralValue = (position.supplied * assetPrice * asset.collateralFactor) / 10000;
-        uint256 borrowValue = position.borrowed * assetPrice;
-        
+        (uint256 supplyIndex, uint256 borrowIndex) = _getCurrentIndexes(symbol);
+        totalSupplied = _fromScaled(asset.totalScaledSupplied, supplyIndex, false);
+        totalBorrowed = _fromScaled(asset.totalScaledBorrowed, borrowIndex, true);
+    }
+
+    /**
+     * @dev Posisi user dalam token termasuk bunga sampai sekarang. Supply
+     * dibulatkan ke bawah dan utang ke atas, sama seperti saat withdraw/repay
+     */
+    function _getCurrentPosition(string memory symbol, address user) internal view returns (uint256 supplied, uint256 borrowed) {
+        UserPosition storage position = userPositions[user][symbol];
+        (uint256 supplyIndex, uint256 borrowIndex) = _getCurrentIndexes(symbol);
+        supplied = _fromScaled(position.scaledSupplied, supplyIndex, false);
+        borrowed = _fromScaled(position.scaledBorrowed, borrowIndex, true);
+    }
+
+    /**
+     * @dev Get saldo supply dan utang user dalam token saat ini
+     */
+    function getUserPosition(address user, string memory symbol) external view returns (uint256 supplied, uint256 borrowed) {
+        return _getCurrentPosition(symbol, user);
+    }
+
+    /**
+     * @dev Pindahkan supply antar user, dipanggil oleh DToken saat transfer.
+     * Supply yang dipindahkan tidak lagi menjadi collateral pengirim.
+     */
+    function transferSupply(string memory symbol, address from, address to, uint256 amount) external nonReentrant {
+        require(msg.sender == dTokens[symbol], "Caller is not dToken");
+        _requireNotPaused(symbol, PAUSE_WITHDRAW);
+
+        // Update interest first
+        _accrueInterest(symbol);
+
+        (uint256 supplied, ) = _getCurrentPosition(symbol, from);
+        require(supplied >= amount, "Insufficient balance");
+
+        userPositions[to][symbol].scaledSupplied += _takeSupply(symbol, from, amount);
+
+        require(_checkHealthFactor(from), "Health factor too low");
+
+        emit SupplyTransferred(from, to, symbol, amount);
+    }
+
+    /**
+     * @dev Get total supply dan borrow asset dalam token saat ini
+     */
+    function getAssetTotals(string memory symbol) external view returns (uint256 totalSupplied, uint256 totalBorrowed) {
+        return _getTotals(symbol);
+    }
+
+    /**
+     * @dev Kurangi supply user sebesar `amount` token beserta total supply asset
+     */
+    function _reduceSupply(string memory symbol, address user, uint256 amount) internal {
+        assets[symbol].totalScaledSupplied -= _takeSupply(symbol, user, amount);
+    }
+
+    /**
+     * @dev Kurangi saldo scaled supply user sebesar `amount` token (dibulatkan
+     * ke atas, maksimal seluruh saldo) dan kembalikan jumlah scaled tersebut
+     */
+    function _takeSupply(string memory symbol, address user, uint256 amount) internal returns (uint256 scaledAmount) {
+        UserPosition storage position = userPositions[user][symbol];
+        scaledAmount = _toScaled(amount, assetIndexes[symbol].supplyIndex, true);
+        if (scaledAmount > position.scaledSupplied) scaledAmount = position.scaledSupplied;
+
+        position.scaledSupplied -= scaledAmount;
+    }
+
+    /**
+     * @dev Kurangi utang user sebesar `amount` token; repay penuh (`amount`
+     * sama dengan utang saat ini `borrowed`) menghapus seluruh saldo scaled
+     */
+    function _reduceDebt(string memory symbol, address user, uint256 amount, uint256 borrowed) internal {
+        UserPosition storage position = userPositions[user][symbol];
+        uint256 scaledAmount = amount == borrowed
+            ? position.scaledBorrowed
+            : _toScaled(amount, assetIndexes[symbol].borrowIndex, false);
+
+        position.scaledBorrowed -= scaledAmount;
+        assets[symbol].totalScaledBorrowed -= scaledAmount;
+    }
+
+    /**
+     * @dev Nilai USD (18 desimal) seluruh posisi user di semua asset.
+     * collateralValue memakai collateralFactor (batas pinjam), liquidationValue
+     * memakai liquidationThreshold (batas likuidasi); supply yang dinonaktifkan
+     * sebagai collateral tidak dihitung.
+     */
+    function getAccountLiquidity(address user) public view returns (
+        uint256 collateralValue,
+        uint256 liquidationValue,
+        uint256 borrowValue
+    ) {
+        for (uint256 i = 0; i < assetSymbols.length; i++) {
+            string memory symbol = assetSymbols[i];
+            (uint256 supplied, uint256 borrowed) = _getCurrentPosition(symbol, user);
+            if (supplied == 0 && borrowed == 0) continue;
+
+            Asset storage asset = assets[symbol];
+            uint256 assetPrice = getAssetPrice(symbol);
+            uint256 unit = 10**asset.decimals;
+
+            if (!userPositions[user][symbol].collateralDisabled) {
+                uint256 suppliedValue = (supplied * assetPrice) / unit;
+                collateralValue += (suppliedValue * asset.collateralFactor) / 10000;
+                liquidationValue += (suppliedValue * asset.liquidationThreshold) / 10000;
+            }
+            borrowValue += (borrowed * assetPrice) / unit;
+        }
+    }
+
+    /**
+     * @dev Check if account remains healthy after action
+     */
+    function _checkHealthFactor(address user) internal view returns (bool) {
+        (uint256 collateralValue, , uint256 borrowValue) = getAccountLiquidity(user);
+        return collateralValue >= borrowValue;
+    }
+
+    /**
+     * @dev Check if account is healthy (not liquidatable)
+     */
+    function _isHealthy(address user) internal view returns (bool) {
+        (, uint256 liquidationValue, uint256 borrowValue) = getAccountLiquidity(user);
+        return liquidationValue >= borrowValue;
+    }
+
+    /**
+     * @dev Get user's account-wide health factor
+     */
+    function getUserHealthFactor(address user) external view returns (uint256) {
+        (uint256 collateralValue, , uint256 borrowValue) = getAccountLiquidity(user);
+        if (borrowValue == 0) return type(uint256).max; // Max value if no debt
+
         return (collateralValue * 10000) / borrowValue; // Multiply by 10000 for precision
     }
 
@@ -369,7 +940,7 @@ contract DeFiLending is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Get asset details
+     * @dev Get asset details, total supply/borrow termasuk bunga sampai sekarang
      */
     function getAssetDetails(string memory symbol) external view returns (
         address tokenAddress,
@@ -381,20 +952,23 @@ contract DeFiLending is Ownable, ReentrancyGuard {
         uint256 totalBorrowed,
         uint256 supplyInterestRate,
         uint256 borrowInterestRate,
-        bool isActive
+        bool isActive,
+        uint256 liquidationBonus
     ) {
         Asset storage asset = assets[symbol];
+        (totalSupplied, totalBorrowed) = _getTotals(symbol);
         return (
             asset.tokenAddress,
             asset.priceFeedAddress,
             asset.collateralFactor,
             asset.borrowFactor,
             asset.liquidationThreshold,
-            asset.totalSupplied,
-            asset.totalBorrowed,
+            totalSupplied,
+            totalBorrowed,
             asset.supplyInterestRate,
             asset.borrowInterestRate,
-            asset.isActive
+            asset.isActive,
+            asset.liquidationBonus
         );
     }
 }
\ No newline at end of file
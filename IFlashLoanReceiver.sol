@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IFlashLoanReceiver
+ * @dev Kontrak yang menerima flash loan dari DeFiLending. Saat
+ * executeOperation dipanggil, `amount` token sudah ada di receiver dan
+ * receiver harus meng-approve DeFiLending sebesar `amount + fee` sebelum
+ * return true.
+ *
+ * Siapa pun bisa memanggil flashLoan dengan receiver mana pun, jadi receiver
+ * wajib mengecek bahwa `initiator` (pemanggil flashLoan) adalah alamat yang
+ * dipercaya, atau hanya menerima flash loan yang ia mulai sendiri. Tanpa cek
+ * ini, allowance yang masih tersisa untuk DeFiLending bisa dipakai orang lain
+ * untuk membuat receiver membayar fee.
+ */
+interface IFlashLoanReceiver {
+    function executeOperation(
+        string calldata symbol,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        address initiator,
+        bytes calldata params
+    ) external returns (bool);
+}
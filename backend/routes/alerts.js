@@ -0,0 +1,178 @@
+// routes/alerts.js
+// API untuk mengelola aturan alert health factor dan melihat log pengiriman
+const express = require("express");
+const ethers = require("ethers");
+
+// Tanda tangan berlaku 5 menit supaya client tidak perlu sign setiap request
+const AUTH_MAX_AGE = 5 * 60 * 1000;
+
+// Pesan yang ditandatangani (personal_sign) pemilik address untuk mengakses
+// rule miliknya
+function authMessage(address, timestamp) {
+  return `DeFiLending alerts\nAddress: ${address.toLowerCase()}\nTimestamp: ${timestamp}`;
+}
+
+/**
+ * Pastikan caller mengontrol address lewat header X-Alert-Address,
+ * X-Alert-Timestamp (ms) dan X-Alert-Signature berisi tanda tangan
+ * authMessage. Address yang terverifikasi disimpan di req.owner.
+ */
+function requireOwner(req, res, next) {
+  const address = req.get("X-Alert-Address");
+  const timestamp = parseInt(req.get("X-Alert-Timestamp"), 10);
+  const signature = req.get("X-Alert-Signature");
+
+  if (!address || !ethers.utils.isAddress(address) || !signature) {
+    return res.status(401).json({ error: "Missing or invalid signature" });
+  }
+  if (!(Math.abs(Date.now() - timestamp) <= AUTH_MAX_AGE)) {
+    return res.status(401).json({ error: "Signature expired" });
+  }
+
+  let signer;
+  try {
+    signer = ethers.utils.verifyMessage(
+      authMessage(address, timestamp),
+      signature
+    );
+  } catch (error) {
+    signer = null;
+  }
+  if (!signer || signer.toLowerCase() !== address.toLowerCase()) {
+    return res.status(401).json({ error: "Missing or invalid signature" });
+  }
+
+  req.owner = address.toLowerCase();
+  next();
+}
+
+module.exports = function alertsRouter({ store }) {
+  const router = express.Router();
+  router.use(requireOwner);
+
+  // Rule milik address lain diperlakukan seperti tidak ada
+  async function findOwnRule(req) {
+    const rule = await store.getRule(req.params.id);
+    return rule && rule.address === req.owner ? rule : null;
+  }
+
+  // Validasi field yang dikirim, return pesan error atau null
+  function validate(body, { partial = false } = {}) {
+    const { symbol, threshold, enabled } = body;
+
+    // Health factor dihitung per akun, rule tidak bisa dibatasi ke satu asset
+    if (symbol !== undefined) {
+      return "Alert rules apply to the whole account, symbol is not supported";
+    }
+    if (!partial || threshold !== undefined) {
+      if (typeof threshold !== "number" || !(threshold > 0)) {
+        return "Threshold must be a positive number";
+      }
+    }
+    if (enabled !== undefined && typeof enabled !== "boolean") {
+      return "Enabled must be a boolean";
+    }
+    return null;
+  }
+
+  router.get("/", async (req, res) => {
+    try {
+      res.json(await store.findRules({ address: req.owner }));
+    } catch (error) {
+      console.error("Error fetching alert rules:", error);
+      res.status(500).json({ error: "Failed to fetch alert rules" });
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    try {
+      const validationError = validate(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      // Rule selalu untuk address yang menandatangani
+      const { address = req.owner, threshold } = req.body;
+      if (String(address).toLowerCase() !== req.owner) {
+        return res.status(403).json({ error: "Address does not match signer" });
+      }
+
+      const rule = await store.createRule({
+        address: req.owner,
+        threshold,
+      });
+      res.status(201).json(rule);
+    } catch (error) {
+      console.error("Error creating alert rule:", error);
+      res.status(500).json({ error: "Failed to create alert rule" });
+    }
+  });
+
+  router.get("/:id", async (req, res) => {
+    try {
+      const rule = await findOwnRule(req);
+      if (!rule) return res.status(404).json({ error: "Alert rule not found" });
+      res.json(rule);
+    } catch (error) {
+      console.error("Error fetching alert rule:", error);
+      res.status(500).json({ error: "Failed to fetch alert rule" });
+    }
+  });
+
+  router.put("/:id", async (req, res) => {
+    try {
+      const validationError = validate(req.body, { partial: true });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      if (!(await findOwnRule(req))) {
+        return res.status(404).json({ error: "Alert rule not found" });
+      }
+
+      // Alamat pemilik rule tidak bisa diubah
+      const changes = {};
+      ["threshold", "enabled"].forEach((field) => {
+        if (req.body[field] !== undefined) changes[field] = req.body[field];
+      });
+      // Rule yang diubah dievaluasi ulang dari awal
+      changes.triggered = false;
+
+      const rule = await store.updateRule(req.params.id, changes);
+      if (!rule) return res.status(404).json({ error: "Alert rule not found" });
+      res.json(rule);
+    } catch (error) {
+      console.error("Error updating alert rule:", error);
+      res.status(500).json({ error: "Failed to update alert rule" });
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      if (!(await findOwnRule(req))) {
+        return res.status(404).json({ error: "Alert rule not found" });
+      }
+      const deleted = await store.deleteRule(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: "Alert rule not found" });
+      }
+      res.status(204).end();
+    } catch (error) {
+      console.error("Error deleting alert rule:", error);
+      res.status(500).json({ error: "Failed to delete alert rule" });
+    }
+  });
+
+  router.get("/:id/deliveries", async (req, res) => {
+    try {
+      const rule = await findOwnRule(req);
+      if (!rule) return res.status(404).json({ error: "Alert rule not found" });
+
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+      res.json(await store.findDeliveries({ ruleId: rule.id, limit }));
+    } catch (error) {
+      console.error("Error fetching alert deliveries:", error);
+      res.status(500).json({ error: "Failed to fetch alert deliveries" });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,66 @@
+// routes/events.js
+// API untuk membaca event DeFiLending yang sudah diindex
+const express = require("express");
+const ethers = require("ethers");
+const { INDEXED_EVENTS } = require("../services/indexer");
+
+function parseBlock(value) {
+  if (value === undefined) return undefined;
+  const block = parseInt(value, 10);
+  return Number.isNaN(block) || block < 0 ? null : block;
+}
+
+module.exports = function eventsRouter({ store, indexer }) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      const { user, symbol, type } = req.query;
+      const fromBlock = parseBlock(req.query.fromBlock);
+      const toBlock = parseBlock(req.query.toBlock);
+      const types = type ? type.split(",") : [];
+
+      if (user && !ethers.utils.isAddress(user)) {
+        return res.status(400).json({ error: "Invalid user address" });
+      }
+      if (fromBlock === null || toBlock === null) {
+        return res.status(400).json({ error: "Invalid block range" });
+      }
+      const unknownType = types.find((t) => !INDEXED_EVENTS.includes(t));
+      if (unknownType) {
+        return res
+          .status(400)
+          .json({ error: `Unknown event type: ${unknownType}` });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+      const offset = parseInt(req.query.offset, 10) || 0;
+
+      const result = await store.findEvents({
+        user,
+        symbol,
+        types,
+        fromBlock,
+        toBlock,
+        limit,
+        offset,
+      });
+
+      res.json({
+        ...result,
+        limit,
+        offset,
+        lastIndexedBlock: indexer.getStatus().lastIndexedBlock,
+      });
+    } catch (error) {
+      console.error("Error fetching events:", error);
+      res.status(500).json({ error: "Failed to fetch events" });
+    }
+  });
+
+  router.get("/status", (req, res) => {
+    res.json(indexer.getStatus());
+  });
+
+  return router;
+};
@@ -0,0 +1,45 @@
+// routes/liquidations.js
+// API daftar posisi yang bisa dilikuidasi
+const express = require("express");
+const ethers = require("ethers");
+
+module.exports = function liquidationsRouter({ scanner }) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      const { debtSymbol, collateralSymbol, borrower } = req.query;
+
+      if (borrower && !ethers.utils.isAddress(borrower)) {
+        return res.status(400).json({ error: "Invalid borrower address" });
+      }
+
+      // Filter symbol berlaku per pasangan; akun tanpa pasangan yang cocok
+      // tidak ditampilkan dan `best` dihitung ulang dari sisa pasangannya
+      const scan = await scanner.getLiquidatable();
+      const liquidatable = scan.liquidatable
+        .filter(
+          (account) =>
+            !borrower ||
+            account.borrower.toLowerCase() === borrower.toLowerCase()
+        )
+        .map((account) => {
+          const options = account.options.filter(
+            (option) =>
+              (!debtSymbol || option.debtSymbol === debtSymbol) &&
+              (!collateralSymbol ||
+                option.collateralSymbol === collateralSymbol)
+          );
+          return { ...account, best: options[0], options };
+        })
+        .filter((account) => account.options.length > 0);
+
+      res.json({ ...scan, liquidatable });
+    } catch (error) {
+      console.error("Error scanning liquidations:", error);
+      res.status(500).json({ error: "Failed to scan liquidations" });
+    }
+  });
+
+  return router;
+};
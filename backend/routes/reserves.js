@@ -0,0 +1,27 @@
+// routes/reserves.js
+// API reserve protocol dan riwayatnya per asset
+const express = require("express");
+const { parseHistoryQuery } = require("../services/history");
+const { fetchReserves } = require("../services/reserves");
+
+module.exports = function reservesRouter({ provider, contract, store }) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      const { range, interval, error } = parseHistoryQuery(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      res.json(
+        await fetchReserves(provider, contract, store, { range, interval })
+      );
+    } catch (error) {
+      console.error("Error fetching reserves:", error);
+      res.status(500).json({ error: "Failed to fetch reserves" });
+    }
+  });
+
+  return router;
+};
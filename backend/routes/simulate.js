@@ -0,0 +1,87 @@
+// routes/simulate.js
+// API simulasi aksi supply/withdraw/borrow/repay dan perubahan harga sebelum transaksi dikirim
+const express = require("express");
+const ethers = require("ethers");
+const { simulate, ACTION_TYPES } = require("../services/simulator");
+const { readAssets } = require("../services/market");
+
+const MAX_ACTIONS = 20;
+
+// Validasi dan normalisasi satu aksi, return { action } atau { error }
+function parseAction(action, tokensBySymbol) {
+  if (!action || !ACTION_TYPES.includes(action.type)) {
+    return { error: `Action type must be one of: ${ACTION_TYPES.join(", ")}` };
+  }
+  const token = tokensBySymbol.get(action.symbol);
+  if (!token) {
+    return { error: "Unknown asset symbol" };
+  }
+
+  if (action.type === "price") {
+    // getAssetPrice revert jika harga <= 0
+    if (typeof action.change !== "number" || !(action.change > -100)) {
+      return { error: "Price change must be a number greater than -100" };
+    }
+    return {
+      action: { type: "price", symbol: action.symbol, change: action.change },
+    };
+  }
+
+  try {
+    // Amount dalam unit token, dikonversi dengan decimals token tersebut
+    const amount = ethers.utils.parseUnits(
+      String(action.amount),
+      token.decimals
+    );
+    if (amount.isNegative()) throw new Error("Negative amount");
+    return { action: { type: action.type, symbol: action.symbol, amount } };
+  } catch (error) {
+    return { error: "Amount must be a non-negative decimal" };
+  }
+}
+
+module.exports = function simulateRouter({ provider, contract }) {
+  const router = express.Router();
+
+  router.post("/", async (req, res) => {
+    try {
+      const { address, actions } = req.body;
+
+      if (!address || !ethers.utils.isAddress(address)) {
+        return res.status(400).json({ error: "Invalid address" });
+      }
+      if (!Array.isArray(actions) || actions.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "Actions must be a non-empty array" });
+      }
+      if (actions.length > MAX_ACTIONS) {
+        return res
+          .status(400)
+          .json({ error: `At most ${MAX_ACTIONS} actions per simulation` });
+      }
+
+      const { assets } = await readAssets(provider, contract);
+      const tokensBySymbol = new Map(
+        assets.map(({ symbol, token }) => [symbol, token])
+      );
+      const parsed = [];
+      for (const [index, action] of actions.entries()) {
+        const result = parseAction(action, tokensBySymbol);
+        if (result.error) {
+          return res
+            .status(400)
+            .json({ error: `Action ${index}: ${result.error}` });
+        }
+        parsed.push(result.action);
+      }
+
+      res.json(await simulate(provider, contract, address, parsed));
+    } catch (error) {
+      console.error("Error running simulation:", error);
+      res.status(500).json({ error: "Failed to run simulation" });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,20 @@
+// routes/stream.js
+// API Server-Sent Events untuk update pasar dan posisi secara live
+const express = require("express");
+const ethers = require("ethers");
+
+module.exports = function streamRouter({ liveUpdates }) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    const { address } = req.query;
+
+    if (address && !ethers.utils.isAddress(address)) {
+      return res.status(400).json({ error: "Invalid address" });
+    }
+
+    liveUpdates.subscribe(req, res, address);
+  });
+
+  return router;
+};
@@ -3,15 +3,40 @@ const express = require("express");
 const cors = require("cors");
 const ethers = require("ethers");
 const dotenv = require("dotenv");
-const contractABI = require("./contractABI.json");
 
 dotenv.config();
 
+const contractABI = require("./contractABI.json");
+const eventStore = require("./services/eventStore");
+const { EventIndexer } = require("./services/indexer");
+const eventsRouter = require("./routes/events");
+const { getPriceHistory } = require("./services/priceHistory");
+const { parseHistoryQuery } = require("./services/history");
+const {
+  fetchAssets,
+  fetchUserPositions,
+  fetchUserBalances,
+  toApyData,
+  withFlashLoanStats,
+} = require("./services/market");
+const { getUtilizationHistory } = require("./services/utilizationHistory");
+const { fetchPortfolio } = require("./services/portfolio");
+const { ResponseCache } = require("./services/responseCache");
+const { LiveUpdates } = require("./services/liveUpdates");
+const streamRouter = require("./routes/stream");
+const { LiquidationScanner } = require("./services/liquidationScanner");
+const liquidationsRouter = require("./routes/liquidations");
+const alertStore = require("./services/alertStore");
+const { AlertMonitor } = require("./services/alertMonitor");
+const alertsRouter = require("./routes/alerts");
+const simulateRouter = require("./routes/simulate");
+const reservesRouter = require("./routes/reserves");
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ["X-Cache", "X-Cache-Block", "X-Cache-Age"] }));
 app.use(express.json());
 
 // Konfigurasi provider dan kontrak
@@ -19,138 +44,226 @@ const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL);
 const contractAddress = process.env.CONTRACT_ADDRESS;
 const contract = new ethers.Contract(contractAddress, contractABI, provider);
 
+// Indexer event kontrak, melanjutkan dari blok terakhir yang tersimpan
+const indexer = new EventIndexer({
+  provider,
+  contract,
+  store: eventStore,
+  options: {
+    startBlock: parseInt(process.env.INDEXER_START_BLOCK || "0", 10),
+    batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || "2000", 10),
+    // Blok terbaru bisa di-reorg, tunggu konfirmasi (0 hanya untuk chain lokal)
+    confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || "2", 10),
+    pollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL || "5000", 10),
+  },
+});
+
+// Cache response per blok, diinvalidasi oleh event dari indexer
+const responseCache = new ResponseCache({
+  provider,
+  enabled: process.env.CACHE_ENABLED !== "false",
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || "500", 10),
+});
+responseCache.attach(indexer);
+
+// Push update pasar dan posisi ke client SSE
+const liveUpdates = new LiveUpdates({
+  provider,
+  contract,
+  store: eventStore,
+});
+liveUpdates.attach(indexer);
+
+// Pemantau posisi borrower yang bisa dilikuidasi
+const scanner = new LiquidationScanner({
+  provider,
+  contract,
+  store: eventStore,
+});
+scanner.attach(indexer);
+
+// Alert health factor, dievaluasi setiap blok baru
+const alertMonitor = new AlertMonitor({
+  provider,
+  contract,
+  store: alertStore,
+  options: {
+    webhookUrl: process.env.ALERT_WEBHOOK_URL,
+    maxRetries: parseInt(process.env.ALERT_MAX_RETRIES || "3", 10),
+    retryDelay: parseInt(process.env.ALERT_RETRY_DELAY || "2000", 10),
+  },
+});
+
+const symbolTags = (assets) => assets.map(({ symbol }) => `symbol:${symbol}`);
+const cacheAssets = responseCache.middleware("assets", {
+  tags: (req, body) => symbolTags(body.assets),
+});
+const cacheUser = responseCache.middleware("user", {
+  tags: (req) => [`user:${req.params.address.toLowerCase()}`],
+});
+const cacheUserBalances = responseCache.middleware("user-balances", {
+  tags: (req) => [`user:${req.params.address.toLowerCase()}`],
+});
+const cachePortfolio = responseCache.middleware("portfolio", {
+  tags: (req) => [`user:${req.params.address.toLowerCase()}`],
+});
+const cachePriceHistory = responseCache.middleware("price-history", {
+  defaults: { ttl: 300, maxBlocks: 0 },
+});
+const cacheUtilizationHistory = responseCache.middleware(
+  "utilization-history",
+  { tags: (req) => [`symbol:${req.params.symbol}`] }
+);
+const cacheApy = responseCache.middleware("apy", {
+  tags: (req, body) => symbolTags(body),
+});
+const cacheReserves = responseCache.middleware("reserves", {
+  tags: (req, body) => symbolTags(body.assets),
+});
+
 // API Routes
-app.get("/api/assets", async (req, res) => {
+app.get("/api/assets", cacheAssets, async (req, res) => {
   try {
-    const assetSymbols = await contract.getAllAssets();
-    const assetsDetails = await Promise.all(
-      assetSymbols.map(async (symbol) => {
-        const details = await contract.getAssetDetails(symbol);
-        const price = await contract.getAssetPrice(symbol);
-
-        return {
-          symbol,
-          tokenAddress: details.tokenAddress,
-          priceFeedAddress: details.priceFeedAddress,
-          collateralFactor: details.collateralFactor.toString(),
-          borrowFactor: details.borrowFactor.toString(),
-          liquidationThreshold: details.liquidationThreshold.toString(),
-          totalSupplied: ethers.utils.formatEther(details.totalSupplied),
-          totalBorrowed: ethers.utils.formatEther(details.totalBorrowed),
-          supplyInterestRate: details.supplyInterestRate.toString(),
-          borrowInterestRate: details.borrowInterestRate.toString(),
-          isActive: details.isActive,
-          price: ethers.utils.formatEther(price),
-        };
-      })
-    );
-
-    res.json(assetsDetails);
+    const [market, flashLoanTotals] = await Promise.all([
+      fetchAssets(provider, contract),
+      eventStore.findFlashLoanTotals(),
+    ]);
+    res.json({
+      ...market,
+      assets: withFlashLoanStats(market.assets, flashLoanTotals),
+    });
   } catch (error) {
     console.error("Error fetching assets:", error);
     res.status(500).json({ error: "Failed to fetch assets" });
   }
 });
 
-app.get("/api/user/:address", async (req, res) => {
+app.get("/api/user/:address", cacheUser, async (req, res) => {
   try {
     const { address } = req.params;
-    const assetSymbols = await contract.getAllAssets();
-
-    const userPositions = await Promise.all(
-      assetSymbols.map(async (symbol) => {
-        const position = await contract.userPositions(address, symbol);
-        const healthFactor = await contract.getUserHealthFactor(
-          symbol,
-          address
-        );
-
-        return {
-          symbol,
-          supplied: ethers.utils.formatEther(position.supplied),
-          borrowed: ethers.utils.formatEther(position.borrowed),
-          lastUpdateTimestamp: position.lastUpdateTimestamp.toString(),
-          healthFactor: healthFactor.toString(),
-        };
-      })
-    );
-
-    res.json(userPositions);
+    res.json(await fetchUserPositions(provider, contract, address));
   } catch (error) {
     console.error("Error fetching user data:", error);
     res.status(500).json({ error: "Failed to fetch user data" });
   }
 });
 
-// API untuk mendapatkan data historis harga dari Oracle
-app.get("/api/price-history/:symbol", async (req, res) => {
+// API untuk saldo wallet dan allowance token ke kontrak lending
+app.get("/api/user/:address/balances", cacheUserBalances, async (req, res) => {
   try {
-    const { symbol } = req.params;
-    const asset = await contract.getAssetDetails(symbol);
-    const priceFeedAddress = asset.priceFeedAddress;
+    const { address } = req.params;
+    if (!ethers.utils.isAddress(address)) {
+      return res.status(400).json({ error: "Invalid address" });
+    }
+    res.json(await fetchUserBalances(provider, contract, address));
+  } catch (error) {
+    console.error("Error fetching wallet balances:", error);
+    res.status(500).json({ error: "Failed to fetch wallet balances" });
+  }
+});
 
-    // Mock data untuk simulasi history (dalam produksi Anda bisa menggunakan database atau API lain)
-    const now = Math.floor(Date.now() / 1000);
-    const history = [];
+// API untuk ringkasan posisi user dalam USD (Dashboard)
+app.get("/api/portfolio/:address", cachePortfolio, async (req, res) => {
+  try {
+    const { address } = req.params;
+    if (!ethers.utils.isAddress(address)) {
+      return res.status(400).json({ error: "Invalid address" });
+    }
+    res.json(await fetchPortfolio(provider, contract, eventStore, address));
+  } catch (error) {
+    console.error("Error fetching portfolio:", error);
+    res.status(500).json({ error: "Failed to fetch portfolio" });
+  }
+});
 
-    for (let i = 0; i < 30; i++) {
-      const timestamp = now - i * 86400; // 1 day intervals
-      const randomFactor = 0.95 + Math.random() * 0.1; // +/- 5%
-      const basePrice = parseFloat(
-        ethers.utils.formatEther(await contract.getAssetPrice(symbol))
-      );
-      const price = basePrice * randomFactor;
+// API untuk mendapatkan data historis harga dari Oracle
+app.get("/api/price-history/:symbol", cachePriceHistory, async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { range, interval, error } = parseHistoryQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-      history.push({
-        timestamp,
-        price: price.toFixed(2),
-      });
+    const asset = await contract.getAssetDetails(symbol);
+    if (asset.tokenAddress === ethers.constants.AddressZero) {
+      return res.status(404).json({ error: "Asset not found" });
     }
 
-    res.json(history.reverse());
+    const to = Math.floor(Date.now() / 1000);
+    const history = await getPriceHistory(provider, asset.priceFeedAddress, {
+      from: to - range,
+      to,
+      interval,
+    });
+
+    res.json(history);
   } catch (error) {
     console.error("Error fetching price history:", error);
     res.status(500).json({ error: "Failed to fetch price history" });
   }
 });
 
+// API untuk riwayat utilization, direkonstruksi dari event yang diindex
+app.get(
+  "/api/utilization-history/:symbol",
+  cacheUtilizationHistory,
+  async (req, res) => {
+    try {
+      const { symbol } = req.params;
+      const { range, interval, error } = parseHistoryQuery(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const asset = await contract.getAssetDetails(symbol);
+      if (asset.tokenAddress === ethers.constants.AddressZero) {
+        return res.status(404).json({ error: "Asset not found" });
+      }
+
+      const history = await getUtilizationHistory(
+        provider,
+        contract,
+        eventStore,
+        symbol,
+        { range, interval }
+      );
+
+      res.json(history);
+    } catch (error) {
+      console.error("Error fetching utilization history:", error);
+      res.status(500).json({ error: "Failed to fetch utilization history" });
+    }
+  }
+);
+
 // API untuk mendapatkan estimasi APY
-app.get("/api/apy", async (req, res) => {
+app.get("/api/apy", cacheApy, async (req, res) => {
   try {
-    const assetSymbols = await contract.getAllAssets();
-    const apyData = await Promise.all(
-      assetSymbols.map(async (symbol) => {
-        const details = await contract.getAssetDetails(symbol);
-
-        // Convert basispoints (e.g. 500 = 5%) to APY percentage
-        const supplyAPY = parseFloat(details.supplyInterestRate) / 100;
-        const borrowAPY = parseFloat(details.borrowInterestRate) / 100;
-
-        // Utilization rate affects actual APY
-        let utilizationRate = 0;
-        if (parseFloat(details.totalSupplied) > 0) {
-          utilizationRate =
-            parseFloat(details.totalBorrowed) /
-            parseFloat(details.totalSupplied);
-        }
-
-        return {
-          symbol,
-          supplyAPY: supplyAPY.toFixed(2),
-          borrowAPY: borrowAPY.toFixed(2),
-          utilizationRate: (utilizationRate * 100).toFixed(2),
-        };
-      })
-    );
-
-    res.json(apyData);
+    const { assets } = await fetchAssets(provider, contract);
+    res.json(assets.map(toApyData));
   } catch (error) {
     console.error("Error calculating APY:", error);
     res.status(500).json({ error: "Failed to calculate APY" });
   }
 });
 
+app.use("/api/events", eventsRouter({ store: eventStore, indexer }));
+app.use("/api/stream", streamRouter({ liveUpdates }));
+app.use("/api/liquidations", liquidationsRouter({ scanner }));
+app.use("/api/alerts", alertsRouter({ store: alertStore }));
+app.use("/api/simulate", simulateRouter({ provider, contract }));
+app.use(
+  "/api/reserves",
+  cacheReserves,
+  reservesRouter({ provider, contract, store: eventStore })
+);
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  indexer.start().catch((error) => {
+    console.error("Error starting event indexer:", error);
+  });
+  alertMonitor.start();
 });
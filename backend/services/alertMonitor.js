@@ -0,0 +1,154 @@
+// services/alertMonitor.js
+// Evaluasi aturan alert health factor setiap blok dan kirim notifikasi ke webhook
+const ethers = require("ethers");
+const { fetchUserPositions } = require("./market");
+
+// getUserHealthFactor dikali 10000 untuk presisi
+const HEALTH_FACTOR_PRECISION = 10000;
+
+function toHealthFactor(raw) {
+  if (ethers.constants.MaxUint256.eq(raw)) return Infinity;
+  return parseInt(raw, 10) / HEALTH_FACTOR_PRECISION;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class AlertMonitor {
+  constructor({ provider, contract, store, options = {} }) {
+    this.provider = provider;
+    this.contract = contract;
+    this.store = store;
+    this.webhookUrl = options.webhookUrl;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelay = options.retryDelay || 2000;
+    this.timeout = options.timeout || 10000;
+    this.evaluating = false;
+  }
+
+  start() {
+    this.provider.on("block", (blockNumber) => {
+      // Lewati blok jika evaluasi sebelumnya belum selesai
+      if (this.evaluating) return;
+      this.evaluating = true;
+      this.evaluate(blockNumber)
+        .catch((error) => {
+          console.error("Error evaluating alert rules:", error);
+        })
+        .finally(() => {
+          this.evaluating = false;
+        });
+    });
+  }
+
+  async evaluate(blockNumber) {
+    const rules = await this.store.findRules({ enabled: true });
+    if (rules.length === 0) return;
+
+    const addresses = [...new Set(rules.map((rule) => rule.address))];
+    const accountsByAddress = new Map();
+    await Promise.all(
+      addresses.map(async (address) => {
+        const account = await fetchUserPositions(
+          this.provider,
+          this.contract,
+          address,
+          blockNumber
+        );
+        accountsByAddress.set(address, account);
+      })
+    );
+
+    for (const rule of rules) {
+      // Health factor berlaku untuk seluruh akun
+      const { healthFactor: raw, positions } = accountsByAddress.get(
+        rule.address
+      );
+      const healthFactor = toHealthFactor(raw);
+      const below = healthFactor < rule.threshold;
+
+      // Notifikasi hanya saat health factor melewati threshold ke bawah
+      if (below && !rule.triggered) {
+        await this.store.updateRule(rule.id, {
+          triggered: true,
+          lastTriggeredAt: Date.now(),
+        });
+        // Pengiriman (dengan retry) tidak menahan evaluasi rule berikutnya
+        this.deliver(rule, {
+          type: "health_factor_below_threshold",
+          ruleId: rule.id,
+          address: rule.address,
+          healthFactor,
+          threshold: rule.threshold,
+          positions: positions
+            .filter(
+              ({ suppliedRaw, borrowedRaw }) =>
+                suppliedRaw !== "0" || borrowedRaw !== "0"
+            )
+            .map(({ symbol, supplied, borrowed }) => ({
+              symbol,
+              supplied,
+              borrowed,
+            })),
+          blockNumber,
+          timestamp: Math.floor(Date.now() / 1000),
+        }).catch((error) => {
+          console.error(`Error delivering alert rule ${rule.id}:`, error);
+        });
+      } else if (!below && rule.triggered) {
+        await this.store.updateRule(rule.id, { triggered: false });
+      }
+    }
+  }
+
+  // Kirim ke webhook yang dikonfigurasi (ALERT_WEBHOOK_URL) dengan sampai
+  // maxRetries retry (backoff eksponensial), setiap hasil dicatat di log
+  async deliver(rule, payload) {
+    const url = this.webhookUrl;
+    if (!url) {
+      console.warn(`No webhook configured for alert rule ${rule.id}`);
+      return;
+    }
+
+    let attempts = 0;
+    let lastError = null;
+    let responseStatus = null;
+
+    // Percobaan pertama ditambah maxRetries retry
+    while (attempts <= this.maxRetries) {
+      attempts++;
+      try {
+        const response = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(payload),
+          signal: AbortSignal.timeout(this.timeout),
+        });
+        responseStatus = response.status;
+        if (response.ok) {
+          lastError = null;
+          break;
+        }
+        lastError = `Webhook responded with ${response.status}`;
+      } catch (error) {
+        lastError = error.message;
+      }
+
+      if (attempts <= this.maxRetries) {
+        await sleep(this.retryDelay * 2 ** (attempts - 1));
+      }
+    }
+
+    await this.store.logDelivery({
+      ruleId: rule.id,
+      address: rule.address,
+      url,
+      payload,
+      status: lastError ? "failed" : "delivered",
+      attempts,
+      responseStatus,
+      error: lastError,
+    });
+  }
+}
+
+module.exports = { AlertMonitor, toHealthFactor };
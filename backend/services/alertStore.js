@@ -0,0 +1,98 @@
+// services/alertStore.js
+// Penyimpanan lokal untuk aturan alert health factor dan log pengiriman webhook
+const path = require("path");
+const Datastore = require("@seald-io/nedb");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+const rules = new Datastore({
+  filename: path.join(DATA_DIR, "alerts.db"),
+  autoload: true,
+});
+const deliveries = new Datastore({
+  filename: path.join(DATA_DIR, "deliveries.db"),
+  autoload: true,
+});
+
+rules.ensureIndex({ fieldName: "address" });
+deliveries.ensureIndex({ fieldName: "ruleId" });
+
+function toRule({ _id, ...rule }) {
+  return { id: _id, ...rule };
+}
+
+function toDelivery({ _id, ...delivery }) {
+  return { id: _id, ...delivery };
+}
+
+async function createRule(rule) {
+  const now = Date.now();
+  const doc = await rules.insertAsync({
+    ...rule,
+    address: rule.address.toLowerCase(),
+    enabled: true,
+    triggered: false,
+    lastTriggeredAt: null,
+    createdAt: now,
+    updatedAt: now,
+  });
+  return toRule(doc);
+}
+
+async function findRules({ address, enabled } = {}) {
+  const query = {};
+  if (address) query.address = address.toLowerCase();
+  if (enabled !== undefined) query.enabled = enabled;
+
+  const docs = await rules.findAsync(query).sort({ createdAt: 1 });
+  return docs.map(toRule);
+}
+
+async function getRule(id) {
+  const doc = await rules.findOneAsync({ _id: id });
+  return doc ? toRule(doc) : null;
+}
+
+async function updateRule(id, changes) {
+  const { affectedDocuments } = await rules.updateAsync(
+    { _id: id },
+    { $set: { ...changes, updatedAt: Date.now() } },
+    { returnUpdatedDocs: true }
+  );
+  return affectedDocuments ? toRule(affectedDocuments) : null;
+}
+
+async function deleteRule(id) {
+  const removed = await rules.removeAsync({ _id: id }, {});
+  return removed > 0;
+}
+
+async function logDelivery(delivery) {
+  const doc = await deliveries.insertAsync({
+    ...delivery,
+    createdAt: Date.now(),
+  });
+  return toDelivery(doc);
+}
+
+async function findDeliveries({ ruleId, address, limit = 100 } = {}) {
+  const query = {};
+  if (ruleId) query.ruleId = ruleId;
+  if (address) query.address = address.toLowerCase();
+
+  const docs = await deliveries
+    .findAsync(query)
+    .sort({ createdAt: -1 })
+    .limit(limit);
+  return docs.map(toDelivery);
+}
+
+module.exports = {
+  createRule,
+  findRules,
+  getRule,
+  updateRule,
+  deleteRule,
+  logDelivery,
+  findDeliveries,
+};
@@ -0,0 +1,232 @@
+// services/eventStore.js
+// Penyimpanan lokal (embedded NeDB) untuk event DeFiLending yang sudah diindex
+const path = require("path");
+const ethers = require("ethers");
+const Datastore = require("@seald-io/nedb");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+const events = new Datastore({
+  filename: path.join(DATA_DIR, "events.db"),
+  autoload: true,
+});
+const meta = new Datastore({
+  filename: path.join(DATA_DIR, "meta.db"),
+  autoload: true,
+});
+
+events.ensureIndex({ fieldName: "blockNumber" });
+events.ensureIndex({ fieldName: "symbol" });
+events.ensureIndex({ fieldName: "event" });
+
+const INDEXER_STATE_ID = "indexer";
+
+// Id deterministik supaya re-index blok yang sama tidak menduplikasi data
+function eventId(event) {
+  return `${event.transactionHash}-${event.logIndex}`;
+}
+
+async function saveEvents(list) {
+  for (const event of list) {
+    const doc = { ...event, _id: eventId(event) };
+    await events.updateAsync({ _id: doc._id }, doc, { upsert: true });
+  }
+}
+
+async function findEvents({
+  user,
+  symbol,
+  types,
+  fromBlock,
+  toBlock,
+  limit = 100,
+  offset = 0,
+} = {}) {
+  const query = {};
+
+  if (user) query.accounts = user.toLowerCase();
+  if (symbol) query.symbol = symbol;
+  if (types && types.length > 0) query.event = { $in: types };
+  if (fromBlock !== undefined || toBlock !== undefined) {
+    query.blockNumber = {};
+    if (fromBlock !== undefined) query.blockNumber.$gte = fromBlock;
+    if (toBlock !== undefined) query.blockNumber.$lte = toBlock;
+  }
+
+  const [total, docs] = await Promise.all([
+    events.countAsync(query),
+    events
+      .findAsync(query, { _id: 0 })
+      .sort({ blockNumber: -1, logIndex: -1 })
+      .skip(offset)
+      .limit(limit),
+  ]);
+
+  return { total, events: docs };
+}
+
+// Event yang mengubah supply/borrow `user` sampai `toBlock`, urut dari yang
+// terlama, untuk menghitung pokok posisi
+async function findPositionEvents(user, types, toBlock) {
+  return events
+    .findAsync(
+      {
+        accounts: user.toLowerCase(),
+        event: { $in: types },
+        blockNumber: { $lte: toBlock },
+      },
+      { _id: 0 }
+    )
+    .sort({ blockNumber: 1, logIndex: 1 });
+}
+
+// Pasangan borrower/symbol unik dari semua event Borrowed
+async function findBorrowers() {
+  const docs = await events.findAsync(
+    { event: "Borrowed" },
+    { accounts: 1, symbol: 1 }
+  );
+  const borrowers = new Map();
+
+  docs.forEach(({ accounts, symbol }) => {
+    accounts.forEach((account) => {
+      if (!borrowers.has(account)) borrowers.set(account, new Set());
+      borrowers.get(account).add(symbol);
+    });
+  });
+
+  return borrowers;
+}
+
+const MARKET_EVENTS = [
+  "Supplied",
+  "Withdrawn",
+  "Borrowed",
+  "Repaid",
+  "Liquidated",
+];
+
+// Event yang menyentuh asset, termasuk likuidasi yang menyita collateral-nya
+const marketQuery = (symbol) => ({
+  $or: [{ symbol }, { "args.collateralSymbol": symbol }],
+  event: { $in: MARKET_EVENTS },
+});
+
+// Event yang mengubah total supply/borrow satu asset sejak `fromTimestamp`,
+// urut dari yang terbaru
+async function findMarketEvents(symbol, { fromTimestamp = 0 } = {}) {
+  return events
+    .findAsync(
+      { ...marketQuery(symbol), timestamp: { $gt: fromTimestamp } },
+      { _id: 0 }
+    )
+    .sort({ blockNumber: -1, logIndex: -1 });
+}
+
+// Timestamp event pasar pertama untuk asset, null jika belum ada
+async function getFirstMarketEventTimestamp(symbol) {
+  const [first] = await events
+    .findAsync(marketQuery(symbol), { timestamp: 1 })
+    .sort({ blockNumber: 1, logIndex: 1 })
+    .limit(1);
+  return first ? first.timestamp : null;
+}
+
+// Jumlah, volume dan fee (raw, BigNumber) semua flash loan per symbol
+async function findFlashLoanTotals() {
+  const docs = await events.findAsync(
+    { event: "FlashLoan" },
+    { symbol: 1, args: 1 }
+  );
+  const totals = {};
+
+  docs.forEach(({ symbol, args }) => {
+    const total = totals[symbol] || {
+      count: 0,
+      volume: ethers.constants.Zero,
+      fees: ethers.constants.Zero,
+    };
+    totals[symbol] = {
+      count: total.count + 1,
+      volume: total.volume.add(args.amount),
+      fees: total.fees.add(args.fee),
+    };
+  });
+
+  return totals;
+}
+
+const RESERVE_EVENTS = ["ReservesAccrued", "ReservesWithdrawn"];
+
+// Event yang mengubah reserve asset sejak `fromTimestamp`, urut dari yang terlama
+async function findReserveEvents(symbol, { fromTimestamp = 0 } = {}) {
+  return events
+    .findAsync(
+      {
+        symbol,
+        event: { $in: RESERVE_EVENTS },
+        timestamp: { $gt: fromTimestamp },
+      },
+      { _id: 0 }
+    )
+    .sort({ blockNumber: 1, logIndex: 1 });
+}
+
+// Total reserve (raw) yang tercatat sampai `timestamp`, "0" jika belum ada
+async function getReservesAt(symbol, timestamp) {
+  const [last] = await events
+    .findAsync(
+      {
+        symbol,
+        event: { $in: RESERVE_EVENTS },
+        timestamp: { $lte: timestamp },
+      },
+      { args: 1 }
+    )
+    .sort({ blockNumber: -1, logIndex: -1 })
+    .limit(1);
+  return last ? last.args.totalReserves : "0";
+}
+
+// Total reserve (raw, BigNumber) yang sudah ditarik ke treasury per symbol
+async function findReserveWithdrawalTotals() {
+  const docs = await events.findAsync(
+    { event: "ReservesWithdrawn" },
+    { symbol: 1, args: 1 }
+  );
+  const totals = {};
+
+  docs.forEach(({ symbol, args }) => {
+    totals[symbol] = (totals[symbol] || ethers.constants.Zero).add(args.amount);
+  });
+
+  return totals;
+}
+
+async function getLastIndexedBlock() {
+  const state = await meta.findOneAsync({ _id: INDEXER_STATE_ID });
+  return state ? state.lastBlock : null;
+}
+
+async function setLastIndexedBlock(blockNumber) {
+  await meta.updateAsync(
+    { _id: INDEXER_STATE_ID },
+    { _id: INDEXER_STATE_ID, lastBlock: blockNumber },
+    { upsert: true }
+  );
+}
+
+module.exports = {
+  saveEvents,
+  findEvents,
+  findPositionEvents,
+  findBorrowers,
+  findMarketEvents,
+  getFirstMarketEventTimestamp,
+  findFlashLoanTotals,
+  findReserveEvents,
+  getReservesAt,
+  findReserveWithdrawalTotals,
+  getLastIndexedBlock,
+  setLastIndexedBlock,
+};
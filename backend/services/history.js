@@ -0,0 +1,37 @@
+// services/history.js
+// Parameter dan titik waktu bersama untuk endpoint riwayat (harga, utilization, reserve)
+const { parseDuration, INTERVALS } = require("./priceHistory");
+
+const MAX_HISTORY_POINTS = 1000;
+
+/**
+ * Baca `range` (default 30d) dan `interval` (default 1d) dari query string.
+ * Return { range, interval } dalam detik, atau { error } untuk dikirim
+ * sebagai 400.
+ */
+function parseHistoryQuery(query) {
+  const range = parseDuration(query.range || "30d");
+  const interval = INTERVALS[query.interval || "1d"];
+
+  if (!range) {
+    return { error: "Invalid range" };
+  }
+  if (!interval) {
+    return { error: "Invalid interval, use one of 1h, 1d, 1w" };
+  }
+  if (range / interval > MAX_HISTORY_POINTS) {
+    return { error: "Too many points requested" };
+  }
+  return { range, interval };
+}
+
+// Titik riwayat tiap `interval` detik sampai `to`, titik terakhir tepat di `to`
+function historyTimestamps(from, to, interval) {
+  const timestamps = [];
+  for (let t = from + interval; t <= to + interval - 1; t += interval) {
+    timestamps.push(Math.min(t, to));
+  }
+  return timestamps;
+}
+
+module.exports = { parseHistoryQuery, historyTimestamps };
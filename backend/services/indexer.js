@@ -0,0 +1,164 @@
+// services/indexer.js
+// Background indexer yang mengikuti event DeFiLending dan menyimpannya ke eventStore
+const { EventEmitter } = require("events");
+const ethers = require("ethers");
+
+const INDEXED_EVENTS = [
+  "Supplied",
+  "Withdrawn",
+  "Borrowed",
+  "Repaid",
+  "SupplyTransferred",
+  "CollateralToggled",
+  "Liquidated",
+  "FlashLoan",
+  "ReservesAccrued",
+  "ReservesWithdrawn",
+  "AssetAdded",
+  "AssetUpdated",
+  "LiquidationBonusUpdated",
+  "CloseFactorUpdated",
+  "AssetCapsUpdated",
+  "RateModelUpdated",
+  "FlashLoanFeeUpdated",
+  "TreasuryUpdated",
+  "GuardianUpdated",
+  "AssetPauseUpdated",
+  "GlobalPauseUpdated",
+];
+
+// Argumen event yang berisi alamat user, dipakai untuk filter per user
+const ACCOUNT_ARGS = [
+  "user",
+  "liquidator",
+  "borrower",
+  "from",
+  "to",
+  "receiver",
+  "initiator",
+];
+
+class EventIndexer extends EventEmitter {
+  constructor({ provider, contract, store, options = {} }) {
+    super();
+    this.provider = provider;
+    this.contract = contract;
+    this.store = store;
+    this.startBlock = options.startBlock || 0;
+    this.batchSize = options.batchSize || 2000;
+    this.confirmations = options.confirmations ?? 2;
+    this.pollInterval = options.pollInterval || 5000;
+    this.lastBlock = null;
+    this.headBlock = null;
+    this.running = false;
+    this.timer = null;
+    this.topics = INDEXED_EVENTS.map((name) =>
+      contract.interface.getEventTopic(name)
+    );
+  }
+
+  async start() {
+    if (this.running) return;
+    this.running = true;
+    this.lastBlock = await this.store.getLastIndexedBlock();
+    this._loop();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      lastIndexedBlock: this.lastBlock,
+      headBlock: this.headBlock,
+      confirmations: this.confirmations,
+    };
+  }
+
+  async _loop() {
+    try {
+      await this.sync();
+    } catch (error) {
+      console.error("Error indexing events:", error);
+    }
+
+    if (this.running) {
+      this.timer = setTimeout(() => this._loop(), this.pollInterval);
+    }
+  }
+
+  async sync() {
+    this.headBlock = await this.provider.getBlockNumber();
+    const targetBlock = this.headBlock - this.confirmations;
+    let fromBlock =
+      this.lastBlock === null ? this.startBlock : this.lastBlock + 1;
+
+    while (fromBlock <= targetBlock) {
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, targetBlock);
+      const logs = await this.provider.getLogs({
+        address: this.contract.address,
+        topics: [this.topics],
+        fromBlock,
+        toBlock,
+      });
+
+      const events = await this._decodeLogs(logs);
+      await this.store.saveEvents(events);
+      await this.store.setLastIndexedBlock(toBlock);
+      this.lastBlock = toBlock;
+
+      if (events.length > 0) {
+        this.emit("events", events);
+      }
+
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  async _decodeLogs(logs) {
+    const timestamps = new Map();
+    const events = [];
+
+    for (const log of logs) {
+      const parsed = this.contract.interface.parseLog(log);
+
+      if (!timestamps.has(log.blockNumber)) {
+        const block = await this.provider.getBlock(log.blockNumber);
+        timestamps.set(log.blockNumber, block.timestamp);
+      }
+
+      const args = {};
+      parsed.eventFragment.inputs.forEach((input, i) => {
+        const value = parsed.args[i];
+        args[input.name] = ethers.BigNumber.isBigNumber(value)
+          ? value.toString()
+          : value;
+      });
+
+      events.push({
+        event: parsed.name,
+        symbol: args.symbol,
+        // Unik, mis. flash loan dengan receiver yang juga initiator
+        accounts: [
+          ...new Set(
+            ACCOUNT_ARGS.filter((name) => args[name]).map((name) =>
+              args[name].toLowerCase()
+            )
+          ),
+        ],
+        args,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        timestamp: timestamps.get(log.blockNumber),
+      });
+    }
+
+    return events;
+  }
+}
+
+module.exports = { EventIndexer, INDEXED_EVENTS };
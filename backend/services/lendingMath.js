@@ -0,0 +1,193 @@
+// services/lendingMath.js
+// Perhitungan yang meniru DeFiLending.sol, dipakai untuk scanner dan simulasi
+const ethers = require("ethers");
+
+const BASIS_POINTS = 10000;
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+const WAD = ethers.constants.WeiPerEther;
+
+const INDEX_PRECISION = WAD;
+
+/**
+ * _getCurrentIndexes: index bunga asset pada `timestamp`. `index` adalah
+ * assetIndexes (supplyIndex, borrowIndex, lastAccrualTimestamp) dan `details`
+ * berisi rate saat ini (supplyInterestRate, borrowInterestRate).
+ */
+function currentIndexes(index, details, timestamp) {
+  const lastAccrual = ethers.BigNumber.from(
+    index.lastAccrualTimestamp
+  ).toNumber();
+  const elapsed = Math.max(timestamp - lastAccrual, 0);
+  const grow = (value, rate) =>
+    ethers.BigNumber.from(value).add(
+      ethers.BigNumber.from(value)
+        .mul(rate)
+        .mul(elapsed)
+        .div(BASIS_POINTS * SECONDS_PER_YEAR)
+    );
+
+  return {
+    supplyIndex: grow(index.supplyIndex, details.supplyInterestRate),
+    borrowIndex: grow(index.borrowIndex, details.borrowInterestRate),
+  };
+}
+
+// _fromScaled: saldo scaled ke amount token
+function fromScaled(scaled, index, roundUp = false) {
+  if (scaled.isZero()) return scaled;
+  const amount = scaled.mul(index).div(INDEX_PRECISION);
+  if (roundUp && amount.mul(INDEX_PRECISION).div(index).lt(scaled)) {
+    return amount.add(1);
+  }
+  return amount;
+}
+
+/**
+ * _getCurrentPosition: saldo userPositions (scaledSupplied, scaledBorrowed)
+ * dalam token dengan `indexes` dari currentIndexes. Supply dibulatkan ke
+ * bawah dan utang ke atas, sama dengan yang diselesaikan withdraw/repay.
+ */
+function positionBalances(position, { supplyIndex, borrowIndex }) {
+  return {
+    supplied: fromScaled(position.scaledSupplied, supplyIndex),
+    borrowed: fromScaled(position.scaledBorrowed, borrowIndex, true),
+  };
+}
+
+// Nilai USD (18 desimal) dari amount token dengan `decimals` dan harga oracle
+function usdValue(amount, price, decimals) {
+  return amount.mul(price).div(ethers.BigNumber.from(10).pow(decimals));
+}
+
+// getUtilization: totalBorrowed / totalSupplied dalam basis point, maks 100%
+function utilization(totalSupplied, totalBorrowed) {
+  if (totalSupplied.isZero()) return ethers.constants.Zero;
+  const rate = totalBorrowed.mul(BASIS_POINTS).div(totalSupplied);
+  return rate.gt(BASIS_POINTS) ? ethers.BigNumber.from(BASIS_POINTS) : rate;
+}
+
+/**
+ * getBorrowRate: rate model dengan kink di optimalUtilization. `model` berisi
+ * { baseRate, slope1, slope2, optimalUtilization, reserveFactor } dalam
+ * basis point, hasil basis point per tahun.
+ */
+function borrowRate(model, utilizationRate) {
+  const optimal = ethers.BigNumber.from(model.optimalUtilization);
+  const base = ethers.BigNumber.from(model.baseRate);
+  if (utilizationRate.lte(optimal)) {
+    return base.add(utilizationRate.mul(model.slope1).div(optimal));
+  }
+  return base
+    .add(model.slope1)
+    .add(
+      utilizationRate
+        .sub(optimal)
+        .mul(model.slope2)
+        .div(ethers.BigNumber.from(BASIS_POINTS).sub(optimal))
+    );
+}
+
+// getSupplyRate: bunga peminjam dibagi ke supplier setelah reserve factor
+function supplyRate(model, utilizationRate) {
+  return borrowRate(model, utilizationRate)
+    .mul(utilizationRate)
+    .mul(ethers.BigNumber.from(BASIS_POINTS).sub(model.reserveFactor))
+    .div(BASIS_POINTS * BASIS_POINTS);
+}
+
+/**
+ * getCollateralToSeize: collateral yang didapat liquidator untuk repay
+ * `amount` utang. `debt` dan `collateral` berisi { price, decimals,
+ * liquidationBonus }, bonus diambil dari asset collateral.
+ */
+function collateralToSeize(amount, debt, collateral) {
+  return usdValue(amount, debt.price, debt.decimals)
+    .mul(collateral.liquidationBonus)
+    .mul(ethers.BigNumber.from(10).pow(collateral.decimals))
+    .div(collateral.price.mul(BASIS_POINTS));
+}
+
+/**
+ * Repay terbesar untuk satu pasangan utang/collateral: dibatasi close factor
+ * dari utang dan collateral `supplied` yang tersedia untuk disita.
+ */
+function maxLiquidation({ borrowed, supplied, closeFactor, debt, collateral }) {
+  const byCloseFactor = borrowed.mul(closeFactor).div(BASIS_POINTS);
+  // Kebalikan collateralToSeize, dibulatkan ke bawah sehingga collateral
+  // yang disita tidak melebihi `supplied`
+  const byCollateral = usdValue(supplied, collateral.price, collateral.decimals)
+    .mul(BASIS_POINTS)
+    .mul(ethers.BigNumber.from(10).pow(debt.decimals))
+    .div(debt.price.mul(collateral.liquidationBonus));
+  return byCloseFactor.lt(byCollateral) ? byCloseFactor : byCollateral;
+}
+
+/**
+ * getAccountLiquidity: nilai USD (18 desimal) semua posisi user.
+ * `positions` berisi { supplied, borrowed, price, decimals, collateralFactor,
+ * liquidationThreshold, collateralEnabled } per asset, sudah termasuk bunga.
+ * Supply yang bukan collateral tidak dihitung.
+ */
+function accountLiquidity(positions) {
+  let collateralValue = ethers.constants.Zero;
+  let liquidationValue = ethers.constants.Zero;
+  let borrowValue = ethers.constants.Zero;
+
+  positions.forEach((position) => {
+    if (position.supplied.isZero() && position.borrowed.isZero()) return;
+    if (position.collateralEnabled) {
+      const suppliedValue = usdValue(
+        position.supplied,
+        position.price,
+        position.decimals
+      );
+      collateralValue = collateralValue.add(
+        suppliedValue.mul(position.collateralFactor).div(BASIS_POINTS)
+      );
+      liquidationValue = liquidationValue.add(
+        suppliedValue.mul(position.liquidationThreshold).div(BASIS_POINTS)
+      );
+    }
+    borrowValue = borrowValue.add(
+      usdValue(position.borrowed, position.price, position.decimals)
+    );
+  });
+
+  return { collateralValue, liquidationValue, borrowValue };
+}
+
+// _checkHealthFactor: collateral (collateralFactor) harus menutup utang
+function checkHealthFactor({ collateralValue, borrowValue }) {
+  return collateralValue.gte(borrowValue);
+}
+
+// _isHealthy: sama tetapi memakai liquidationThreshold
+function isHealthy({ liquidationValue, borrowValue }) {
+  return liquidationValue.gte(borrowValue);
+}
+
+// getUserHealthFactor, hasil dikali 10000; null jika tidak ada utang
+function healthFactor({ collateralValue, borrowValue }) {
+  if (borrowValue.isZero()) return null;
+  return collateralValue.mul(BASIS_POINTS).div(borrowValue);
+}
+
+module.exports = {
+  BASIS_POINTS,
+  SECONDS_PER_YEAR,
+  INDEX_PRECISION,
+  WAD,
+  accountLiquidity,
+  borrowRate,
+  checkHealthFactor,
+  collateralToSeize,
+  currentIndexes,
+  fromScaled,
+  isHealthy,
+  healthFactor,
+  maxLiquidation,
+  positionBalances,
+  supplyRate,
+  usdValue,
+  utilization,
+};
@@ -0,0 +1,240 @@
+// services/liquidationScanner.js
+// Memantau semua borrower dari event Borrowed dan mencari posisi yang bisa dilikuidasi
+const ethers = require("ethers");
+const { multicall } = require("./multicall");
+const { isPaused, readAssets } = require("./market");
+const {
+  WAD,
+  accountLiquidity,
+  collateralToSeize,
+  currentIndexes,
+  isHealthy,
+  maxLiquidation,
+  positionBalances,
+  usdValue,
+} = require("./lendingMath");
+
+// Parameter harga/bonus satu asset untuk collateralToSeize
+const seizeParams = (asset) => ({
+  price: asset.price,
+  decimals: asset.token.decimals,
+  liquidationBonus: asset.details.liquidationBonus,
+});
+
+// Satu pilihan likuidasi: repay utang `debt` dan sita collateral `collateral`
+function toOption(debt, collateral, closeFactor) {
+  const debtParams = seizeParams(debt.asset);
+  const collateralParams = seizeParams(collateral.asset);
+  const maxRepay = maxLiquidation({
+    borrowed: debt.borrowed,
+    supplied: collateral.supplied,
+    closeFactor,
+    debt: debtParams,
+    collateral: collateralParams,
+  });
+  const seized = collateralToSeize(maxRepay, debtParams, collateralParams);
+  const profit = usdValue(
+    seized,
+    collateralParams.price,
+    collateralParams.decimals
+  ).sub(usdValue(maxRepay, debtParams.price, debtParams.decimals));
+
+  const formatDebt = (amount) =>
+    ethers.utils.formatUnits(amount, debtParams.decimals);
+  const formatCollateral = (amount) =>
+    ethers.utils.formatUnits(amount, collateralParams.decimals);
+
+  return {
+    debtSymbol: debt.asset.symbol,
+    collateralSymbol: collateral.asset.symbol,
+    debtDecimals: debtParams.decimals,
+    collateralDecimals: collateralParams.decimals,
+    borrowed: formatDebt(debt.borrowed),
+    borrowedRaw: debt.borrowed.toString(),
+    collateral: formatCollateral(collateral.supplied),
+    collateralRaw: collateral.supplied.toString(),
+    debtPrice: ethers.utils.formatEther(debtParams.price),
+    collateralPrice: ethers.utils.formatEther(collateralParams.price),
+    liquidationBonus: collateralParams.liquidationBonus.toString(),
+    maxRepayAmount: formatDebt(maxRepay),
+    maxRepayAmountRaw: maxRepay.toString(),
+    collateralToSeize: formatCollateral(seized),
+    collateralToSeizeRaw: seized.toString(),
+    estimatedProfitUSD: ethers.utils.formatEther(profit),
+  };
+}
+
+/**
+ * Evaluasi akun borrower dengan aturan _isHealthy dan perhitungan liquidate.
+ * `positions` sejajar dengan `assets`. Return null jika akun masih sehat,
+ * atau akun dengan semua pasangan utang/collateral yang bisa dilikuidasi,
+ * urut dari profit terbesar (`best` = pasangan pertama).
+ */
+function evaluateAccount({
+  borrower,
+  assets,
+  positions,
+  closeFactor,
+  timestamp,
+}) {
+  const current = assets.map((asset, i) => ({
+    asset,
+    collateralEnabled: !positions[i].collateralDisabled,
+    ...positionBalances(
+      positions[i],
+      currentIndexes(asset.index, asset.details, timestamp)
+    ),
+  }));
+  const liquidity = accountLiquidity(
+    current.map(({ asset, supplied, borrowed, collateralEnabled }) => ({
+      supplied,
+      borrowed,
+      collateralEnabled,
+      price: asset.price,
+      decimals: asset.token.decimals,
+      collateralFactor: asset.details.collateralFactor,
+      liquidationThreshold: asset.details.liquidationThreshold,
+    }))
+  );
+  if (isHealthy(liquidity)) return null;
+
+  // liquidate membutuhkan likuidasi kedua asset tidak di-pause dan asset
+  // yang disita dipakai sebagai collateral
+  const active = current.filter(
+    ({ asset }) => !isPaused(asset.pausedActions, "liquidate")
+  );
+  const debts = active.filter(({ borrowed }) => !borrowed.isZero());
+  const collaterals = active.filter(
+    ({ supplied, collateralEnabled }) => collateralEnabled && !supplied.isZero()
+  );
+
+  const options = debts
+    .flatMap((debt) =>
+      collaterals.map((collateral) => toOption(debt, collateral, closeFactor))
+    )
+    .filter(({ maxRepayAmountRaw }) => maxRepayAmountRaw !== "0")
+    .sort(
+      (a, b) =>
+        parseFloat(b.estimatedProfitUSD) - parseFloat(a.estimatedProfitUSD)
+    );
+  if (options.length === 0) return null;
+
+  return {
+    borrower,
+    // Health factor akun terhadap liquidationThreshold, < 1 berarti bisa dilikuidasi
+    healthFactor: ethers.utils.formatEther(
+      liquidity.liquidationValue.mul(WAD).div(liquidity.borrowValue)
+    ),
+    borrowedUSD: ethers.utils.formatEther(liquidity.borrowValue),
+    closeFactor: closeFactor.toString(),
+    best: options[0],
+    options,
+  };
+}
+
+class LiquidationScanner {
+  constructor({ provider, contract, store, batchSize }) {
+    this.provider = provider;
+    this.contract = contract;
+    this.store = store;
+    // Jumlah borrower per multicall, supaya satu call tidak terlalu besar
+    this.batchSize = batchSize || 100;
+    this.borrowers = new Set();
+    this.loaded = false;
+    this.lastScan = null;
+    this.scanning = null;
+  }
+
+  // Borrower baru dari indexer langsung ikut dipantau
+  attach(indexer) {
+    indexer.on("events", (events) => {
+      events
+        .filter((event) => event.event === "Borrowed")
+        .forEach((event) => this.track(event.accounts[0]));
+    });
+  }
+
+  track(borrower) {
+    this.borrowers.add(borrower);
+  }
+
+  async load() {
+    const borrowers = await this.store.findBorrowers();
+    borrowers.forEach((symbols, borrower) => this.track(borrower));
+    this.loaded = true;
+  }
+
+  // Hasil scan di-memo per blok, request paralel berbagi scan yang sama
+  async getLiquidatable() {
+    const blockNumber = await this.provider.getBlockNumber();
+    if (this.lastScan && this.lastScan.blockNumber === blockNumber) {
+      return this.lastScan;
+    }
+    if (!this.scanning) {
+      this.scanning = this.scan(blockNumber).finally(() => {
+        this.scanning = null;
+      });
+    }
+    return this.scanning;
+  }
+
+  async scan(blockNumber) {
+    if (!this.loaded) await this.load();
+
+    const [{ assets }, block, closeFactor] = await Promise.all([
+      readAssets(this.provider, this.contract, blockNumber),
+      this.provider.getBlock(blockNumber),
+      this.contract.closeFactor({ blockTag: blockNumber }),
+    ]);
+    // Health factor dihitung per akun, jadi baca semua posisi borrower,
+    // per batch borrower seperti indexer membagi range blok
+    const borrowers = [...this.borrowers];
+    const accounts = [];
+    for (let start = 0; start < borrowers.length; start += this.batchSize) {
+      const batch = borrowers.slice(start, start + this.batchSize);
+      const positions = await multicall(
+        this.provider,
+        batch.flatMap((borrower) =>
+          assets.map(({ symbol }) => ({
+            contract: this.contract,
+            method: "userPositions",
+            args: [borrower, symbol],
+          }))
+        ),
+        blockNumber
+      );
+
+      batch.forEach((borrower, i) =>
+        accounts.push(
+          evaluateAccount({
+            borrower: ethers.utils.getAddress(borrower),
+            assets,
+            positions: positions.slice(
+              i * assets.length,
+              (i + 1) * assets.length
+            ),
+            closeFactor,
+            timestamp: block.timestamp,
+          })
+        )
+      );
+    }
+
+    const liquidatable = accounts
+      .filter(Boolean)
+      .sort(
+        (a, b) =>
+          parseFloat(b.best.estimatedProfitUSD) -
+          parseFloat(a.best.estimatedProfitUSD)
+      );
+
+    this.lastScan = {
+      blockNumber,
+      trackedAccounts: borrowers.length,
+      liquidatable,
+    };
+    return this.lastScan;
+  }
+}
+
+module.exports = { LiquidationScanner, evaluateAccount };
@@ -0,0 +1,139 @@
+// services/liveUpdates.js
+// Push data pasar dan posisi user ke client lewat Server-Sent Events
+const {
+  fetchAssets,
+  fetchUserPositions,
+  toApyData,
+  withFlashLoanStats,
+} = require("./market");
+
+const HEARTBEAT_INTERVAL = 25000;
+
+class LiveUpdates {
+  constructor({ provider, contract, store }) {
+    this.provider = provider;
+    this.contract = contract;
+    this.store = store;
+    this.clients = new Set();
+    this.refreshing = false;
+    this.queued = false;
+
+    provider.on("block", () => this.refresh());
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach((client) => client.res.write(": ping\n\n"));
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  // Event kontrak memicu refresh tanpa menunggu blok berikutnya
+  attach(indexer) {
+    indexer.on("events", () => this.refresh());
+  }
+
+  subscribe(req, res, address) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const client = {
+      res,
+      address: address ? address.toLowerCase() : null,
+      lastMarket: null,
+      lastPositions: null,
+    };
+    this.clients.add(client);
+
+    req.on("close", () => {
+      this.clients.delete(client);
+    });
+
+    this.refresh();
+  }
+
+  send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  async refresh() {
+    if (this.clients.size === 0) return;
+    if (this.refreshing) {
+      this.queued = true;
+      return;
+    }
+
+    this.refreshing = true;
+    try {
+      await this.broadcast();
+    } catch (error) {
+      console.error("Error pushing live updates:", error);
+    } finally {
+      this.refreshing = false;
+      if (this.queued) {
+        this.queued = false;
+        this.refresh();
+      }
+    }
+  }
+
+  async broadcast() {
+    const blockNumber = await this.provider.getBlockNumber();
+    // Data asset sama dengan /api/assets, termasuk statistik flash loan
+    const [market, flashLoanTotals] = await Promise.all([
+      fetchAssets(this.provider, this.contract, blockNumber),
+      this.store.findFlashLoanTotals(),
+    ]);
+    const assets = withFlashLoanStats(market.assets, flashLoanTotals);
+    const serializedMarket = JSON.stringify(assets);
+
+    const addresses = new Set();
+    this.clients.forEach((client) => {
+      if (client.address) addresses.add(client.address);
+    });
+
+    const positionsByAddress = new Map();
+    await Promise.all(
+      [...addresses].map(async (address) => {
+        const { positions, healthFactor, timestamp } = await fetchUserPositions(
+          this.provider,
+          this.contract,
+          address,
+          blockNumber
+        );
+        // Timestamp blok selalu berubah, jadi tidak ikut dibandingkan
+        positionsByAddress.set(address, {
+          serialized: JSON.stringify({ positions, healthFactor }),
+          data: { positions, healthFactor, timestamp },
+        });
+      })
+    );
+
+    // Client hanya menerima data yang berubah sejak push terakhir
+    this.clients.forEach((client) => {
+      if (client.lastMarket !== serializedMarket) {
+        client.lastMarket = serializedMarket;
+        this.send(client, "market", {
+          blockNumber,
+          assets,
+          apy: assets.map(toApyData),
+        });
+      }
+
+      if (client.address && positionsByAddress.has(client.address)) {
+        const { serialized, data } = positionsByAddress.get(client.address);
+        if (client.lastPositions !== serialized) {
+          client.lastPositions = serialized;
+          this.send(client, "positions", {
+            address: client.address,
+            blockNumber,
+            ...data,
+          });
+        }
+      }
+    });
+  }
+}
+
+module.exports = { LiveUpdates };
@@ -0,0 +1,363 @@
+// services/market.js
+// Read data pasar dan posisi user dari kontrak, dipakai oleh route dan stream
+const ethers = require("ethers");
+const { multicall } = require("./multicall");
+const { getTokenMetadata } = require("./tokenMetadata");
+const {
+  borrowRate,
+  currentIndexes,
+  positionBalances,
+  supplyRate,
+  utilization,
+} = require("./lendingMath");
+
+const ERC20_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+];
+
+// Jumlah call multicall per asset di readAssets
+const CALLS_PER_ASSET = 7;
+
+// Bit flag aksi yang bisa di-pause guardian, sama dengan PAUSE_* di kontrak.
+// withdraw termasuk transfer dToken, borrow termasuk flash loan.
+const PAUSE_ACTIONS = {
+  supply: 1,
+  withdraw: 2,
+  borrow: 4,
+  repay: 8,
+  liquidate: 16,
+};
+
+const isPaused = (pausedActions, action) =>
+  (pausedActions & PAUSE_ACTIONS[action]) !== 0;
+
+// Bit flag pause ke { supply, withdraw, borrow, repay, liquidate }
+const pauseFlags = (pausedActions) =>
+  Object.fromEntries(
+    Object.keys(PAUSE_ACTIONS).map((action) => [
+      action,
+      isPaused(pausedActions, action),
+    ])
+  );
+
+async function resolveBlock(provider, blockTag) {
+  return blockTag === undefined ? provider.getBlockNumber() : blockTag;
+}
+
+// Detail asset mentah (BigNumber) beserta harga oracle, rate model, index
+// bunga tersimpan, supply/borrow cap, aksi yang di-pause dan metadata token
+// serta token bukti supply pada satu blok. pausedActions per asset sudah
+// digabung dengan pause global.
+async function readAssets(provider, contract, blockTag) {
+  // Semua read dipin ke satu blok supaya response konsisten
+  const blockNumber = await resolveBlock(provider, blockTag);
+  const assetSymbols = await contract.getAllAssets({ blockTag: blockNumber });
+  const results = await multicall(
+    provider,
+    [
+      ...assetSymbols.flatMap((symbol) => [
+        { contract, method: "getAssetDetails", args: [symbol] },
+        { contract, method: "getAssetPrice", args: [symbol] },
+        { contract, method: "rateModels", args: [symbol] },
+        { contract, method: "assetIndexes", args: [symbol] },
+        { contract, method: "dTokens", args: [symbol] },
+        { contract, method: "assetCaps", args: [symbol] },
+        { contract, method: "pausedActions", args: [symbol] },
+      ]),
+      { contract, method: "globalPausedActions" },
+      { contract, method: "guardian" },
+    ],
+    blockNumber
+  );
+  const globalPausedActions = results[results.length - 2].toNumber();
+  const guardian = results[results.length - 1];
+
+  // Metadata token asset dan dToken dibaca sekaligus
+  const tokens = await getTokenMetadata(provider, [
+    ...assetSymbols.map(
+      (symbol, i) => results[i * CALLS_PER_ASSET].tokenAddress
+    ),
+    ...assetSymbols.map((symbol, i) => results[i * CALLS_PER_ASSET + 4]),
+  ]);
+
+  const assets = assetSymbols.map((symbol, i) => {
+    const offset = i * CALLS_PER_ASSET;
+    return {
+      symbol,
+      details: results[offset],
+      price: results[offset + 1],
+      rateModel: results[offset + 2],
+      index: results[offset + 3],
+      caps: results[offset + 5],
+      pausedActions: results[offset + 6].toNumber() | globalPausedActions,
+      token: tokens[i],
+      receiptToken: tokens[assetSymbols.length + i],
+    };
+  });
+
+  return { blockNumber, globalPausedActions, guardian, assets };
+}
+
+async function fetchAssets(provider, contract, blockTag) {
+  const { blockNumber, globalPausedActions, guardian, assets } =
+    await readAssets(provider, contract, blockTag);
+
+  return {
+    blockNumber,
+    guardian,
+    // Aksi yang di-pause untuk semua asset
+    globalPaused: pauseFlags(globalPausedActions),
+    assets: assets.map(
+      ({
+        symbol,
+        details,
+        price,
+        rateModel,
+        caps,
+        pausedActions,
+        token,
+        receiptToken,
+      }) => ({
+        symbol,
+        name: token.name,
+        tokenSymbol: token.symbol,
+        decimals: token.decimals,
+        tokenAddress: details.tokenAddress,
+        priceFeedAddress: details.priceFeedAddress,
+        collateralFactor: details.collateralFactor.toString(),
+        borrowFactor: details.borrowFactor.toString(),
+        liquidationThreshold: details.liquidationThreshold.toString(),
+        liquidationBonus: details.liquidationBonus.toString(),
+        // Amount dalam unit token dan raw (unit terkecil) untuk hitungan exact
+        totalSupplied: ethers.utils.formatUnits(
+          details.totalSupplied,
+          token.decimals
+        ),
+        totalBorrowed: ethers.utils.formatUnits(
+          details.totalBorrowed,
+          token.decimals
+        ),
+        totalSuppliedRaw: details.totalSupplied.toString(),
+        totalBorrowedRaw: details.totalBorrowed.toString(),
+        // Cap total supply/borrow, "0" berarti tanpa batas
+        supplyCap: ethers.utils.formatUnits(caps.supplyCap, token.decimals),
+        borrowCap: ethers.utils.formatUnits(caps.borrowCap, token.decimals),
+        supplyCapRaw: caps.supplyCap.toString(),
+        borrowCapRaw: caps.borrowCap.toString(),
+        supplyInterestRate: details.supplyInterestRate.toString(),
+        borrowInterestRate: details.borrowInterestRate.toString(),
+        // Parameter rate model dalam basis point
+        rateModel: {
+          baseRate: rateModel.baseRate.toString(),
+          slope1: rateModel.slope1.toString(),
+          slope2: rateModel.slope2.toString(),
+          optimalUtilization: rateModel.optimalUtilization.toString(),
+          reserveFactor: rateModel.reserveFactor.toString(),
+        },
+        // Token bukti supply, saldonya sama dengan supply user termasuk bunga
+        receiptToken: {
+          address: receiptToken.address,
+          symbol: receiptToken.symbol,
+          name: receiptToken.name,
+          decimals: receiptToken.decimals,
+        },
+        // Asset tidak aktif hanya menolak supply, borrow dan flash loan baru
+        isActive: details.isActive,
+        // Aksi yang di-pause guardian untuk asset ini, termasuk pause global
+        paused: pauseFlags(pausedActions),
+        price: ethers.utils.formatEther(price),
+      })
+    ),
+  };
+}
+
+/**
+ * Posisi user per asset pada timestamp blok, dihitung dari saldo scaled dan
+ * index bunga seperti getUserPosition di kontrak. Index dan rate ikut
+ * dikirim supaya frontend bisa memproyeksikan saldo ke waktu sekarang.
+ */
+async function fetchUserPositions(provider, contract, address, blockTag) {
+  const blockNumber = await resolveBlock(provider, blockTag);
+  const [{ assets }, block] = await Promise.all([
+    readAssets(provider, contract, blockNumber),
+    provider.getBlock(blockNumber),
+  ]);
+  const results = await multicall(
+    provider,
+    [
+      ...assets.map(({ symbol }) => ({
+        contract,
+        method: "userPositions",
+        args: [address, symbol],
+      })),
+      { contract, method: "getUserHealthFactor", args: [address] },
+    ],
+    blockNumber
+  );
+
+  const positions = assets.map(({ symbol, details, index, token }, i) => {
+    const position = results[i];
+    const { decimals } = token;
+    const indexes = currentIndexes(index, details, block.timestamp);
+    const { supplied, borrowed } = positionBalances(position, indexes);
+
+    return {
+      symbol,
+      decimals,
+      supplied: ethers.utils.formatUnits(supplied, decimals),
+      borrowed: ethers.utils.formatUnits(borrowed, decimals),
+      suppliedRaw: supplied.toString(),
+      borrowedRaw: borrowed.toString(),
+      scaledSuppliedRaw: position.scaledSupplied.toString(),
+      scaledBorrowedRaw: position.scaledBorrowed.toString(),
+      // Supply dihitung sebagai collateral, diatur user per asset
+      collateralEnabled: !position.collateralDisabled,
+      supplyIndex: indexes.supplyIndex.toString(),
+      borrowIndex: indexes.borrowIndex.toString(),
+      supplyInterestRate: details.supplyInterestRate.toString(),
+      borrowInterestRate: details.borrowInterestRate.toString(),
+    };
+  });
+
+  // Health factor seluruh akun (semua collateral vs semua utang)
+  const healthFactor = results[results.length - 1].toString();
+
+  return {
+    address,
+    blockNumber,
+    timestamp: block.timestamp,
+    healthFactor,
+    positions,
+  };
+}
+
+// Saldo wallet dan allowance ke kontrak lending untuk setiap token asset
+async function fetchUserBalances(provider, contract, address, blockTag) {
+  const { blockNumber, assets } = await readAssets(
+    provider,
+    contract,
+    blockTag
+  );
+  const results = await multicall(
+    provider,
+    assets.flatMap(({ token, receiptToken }) => {
+      const erc20 = new ethers.Contract(token.address, ERC20_ABI, provider);
+      const dToken = new ethers.Contract(
+        receiptToken.address,
+        ERC20_ABI,
+        provider
+      );
+      return [
+        { contract: erc20, method: "balanceOf", args: [address] },
+        {
+          contract: erc20,
+          method: "allowance",
+          args: [address, contract.address],
+        },
+        { contract: dToken, method: "balanceOf", args: [address] },
+      ];
+    }),
+    blockNumber
+  );
+
+  const balances = assets.map(({ symbol, token, receiptToken }, i) => {
+    const balance = results[i * 3];
+    const allowance = results[i * 3 + 1];
+    const receiptBalance = results[i * 3 + 2];
+
+    return {
+      symbol,
+      tokenAddress: token.address,
+      decimals: token.decimals,
+      balance: ethers.utils.formatUnits(balance, token.decimals),
+      allowance: ethers.utils.formatUnits(allowance, token.decimals),
+      balanceRaw: balance.toString(),
+      allowanceRaw: allowance.toString(),
+      // Approve tanpa amount dari frontend memakai MaxUint256
+      unlimitedAllowance: allowance.eq(ethers.constants.MaxUint256),
+      receiptToken: receiptToken.address,
+      receiptSymbol: receiptToken.symbol,
+      receiptBalance: ethers.utils.formatUnits(
+        receiptBalance,
+        receiptToken.decimals
+      ),
+      receiptBalanceRaw: receiptBalance.toString(),
+    };
+  });
+
+  return { address, spender: contract.address, blockNumber, balances };
+}
+
+// Tambahkan statistik flash loan dari event terindex ke data asset
+function withFlashLoanStats(assets, totals) {
+  return assets.map((asset) => {
+    const total = totals[asset.symbol] || {
+      count: 0,
+      volume: ethers.constants.Zero,
+      fees: ethers.constants.Zero,
+    };
+    return {
+      ...asset,
+      flashLoans: {
+        count: total.count,
+        volume: ethers.utils.formatUnits(total.volume, asset.decimals),
+        fees: ethers.utils.formatUnits(total.fees, asset.decimals),
+        volumeRaw: total.volume.toString(),
+        feesRaw: total.fees.toString(),
+      },
+    };
+  });
+}
+
+// Titik utilization (basis point) untuk kurva rate: setiap 5% ditambah kink
+function curveUtilizations(optimalUtilization) {
+  const points = new Set([optimalUtilization]);
+  for (let u = 0; u <= 10000; u += 500) points.add(u);
+  return [...points].sort((a, b) => a - b);
+}
+
+// Basis point (500 = 5%) sebagai persen dengan 2 desimal
+const formatRate = (rate) => (rate.toNumber() / 100).toFixed(2);
+
+function toApyData(asset) {
+  // Rate tersimpan di kontrak selalu dihitung ulang dari rate model setiap
+  // kali total supply/borrow berubah
+  const current = utilization(
+    ethers.BigNumber.from(asset.totalSuppliedRaw),
+    ethers.BigNumber.from(asset.totalBorrowedRaw)
+  );
+  const { rateModel } = asset;
+
+  return {
+    symbol: asset.symbol,
+    supplyAPY: formatRate(ethers.BigNumber.from(asset.supplyInterestRate)),
+    borrowAPY: formatRate(ethers.BigNumber.from(asset.borrowInterestRate)),
+    utilizationRate: formatRate(current),
+    optimalUtilization: formatRate(
+      ethers.BigNumber.from(rateModel.optimalUtilization)
+    ),
+    reserveFactor: formatRate(ethers.BigNumber.from(rateModel.reserveFactor)),
+    rateCurve: curveUtilizations(parseInt(rateModel.optimalUtilization)).map(
+      (point) => {
+        const u = ethers.BigNumber.from(point);
+        return {
+          utilization: formatRate(u),
+          borrowAPY: formatRate(borrowRate(rateModel, u)),
+          supplyAPY: formatRate(supplyRate(rateModel, u)),
+        };
+      }
+    ),
+  };
+}
+
+module.exports = {
+  PAUSE_ACTIONS,
+  isPaused,
+  readAssets,
+  fetchAssets,
+  withFlashLoanStats,
+  fetchUserPositions,
+  fetchUserBalances,
+  toApyData,
+};
@@ -0,0 +1,80 @@
+// services/multicall.js
+// Menggabungkan banyak view call menjadi satu request Multicall3 pada satu blok
+const ethers = require("ethers");
+
+// Multicall3 memiliki alamat yang sama di hampir semua chain EVM
+const MULTICALL_ADDRESS =
+  process.env.MULTICALL_ADDRESS || "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const MULTICALL_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+];
+
+let deployed = null;
+
+async function isMulticallDeployed(provider) {
+  if (deployed === null) {
+    const code = await provider.getCode(MULTICALL_ADDRESS);
+    deployed = code !== "0x";
+    if (!deployed) {
+      console.warn(
+        `Multicall3 not found at ${MULTICALL_ADDRESS}, falling back to individual calls`
+      );
+    }
+  }
+  return deployed;
+}
+
+function unwrap(result) {
+  return result.length === 1 ? result[0] : result;
+}
+
+/**
+ * Jalankan `calls` ({ contract, method, args, allowFailure }) pada `blockTag`.
+ * Call yang gagal dengan allowFailure menghasilkan null.
+ */
+async function multicall(provider, calls, blockTag) {
+  if (calls.length === 0) return [];
+
+  // Tanpa Multicall3 (mis. chain lokal) tetap baca pada blok yang sama
+  if (!(await isMulticallDeployed(provider))) {
+    return Promise.all(
+      calls.map(({ contract, method, args = [], allowFailure }) =>
+        contract[method](...args, { blockTag }).catch((error) => {
+          if (allowFailure) return null;
+          throw error;
+        })
+      )
+    );
+  }
+
+  const aggregator = new ethers.Contract(
+    MULTICALL_ADDRESS,
+    MULTICALL_ABI,
+    provider
+  );
+  const results = await aggregator.callStatic.aggregate3(
+    calls.map(({ contract, method, args = [], allowFailure }) => ({
+      target: contract.address,
+      allowFailure: Boolean(allowFailure),
+      callData: contract.interface.encodeFunctionData(method, args),
+    })),
+    { blockTag }
+  );
+
+  return results.map(({ success, returnData }, i) => {
+    if (!success) return null;
+    const { contract, method, allowFailure } = calls[i];
+    try {
+      return unwrap(
+        contract.interface.decodeFunctionResult(method, returnData)
+      );
+    } catch (error) {
+      // Return data yang tidak sesuai ABI (mis. symbol bytes32) dianggap gagal
+      if (allowFailure) return null;
+      throw error;
+    }
+  });
+}
+
+module.exports = { multicall };
@@ -0,0 +1,299 @@
+// services/portfolio.js
+// Ringkasan posisi user dalam USD (supply, borrow, APY, health factor) untuk Dashboard
+const ethers = require("ethers");
+const { multicall } = require("./multicall");
+const { readAssets } = require("./market");
+const {
+  BASIS_POINTS,
+  currentIndexes,
+  positionBalances,
+  usdValue,
+} = require("./lendingMath");
+
+const formatHealthFactor = (raw) =>
+  raw === null ? null : ethers.utils.formatUnits(raw, 4);
+
+// Rate basis point (500 = 5%) sebagai pecahan per tahun, mis. "0.05"
+const formatApy = (rate) => ethers.utils.formatUnits(rate, 4);
+
+// Event yang mengubah pokok supply/borrow user
+const POSITION_EVENTS = [
+  "Supplied",
+  "Withdrawn",
+  "Borrowed",
+  "Repaid",
+  "SupplyTransferred",
+  "Liquidated",
+];
+
+// Blok yang belum diindex dibaca langsung dari chain, sampai batas ini
+const MAX_UNINDEXED_BLOCKS = 2000;
+
+// Event posisi `address` sampai `blockNumber`, urut dari yang terlama: dari
+// eventStore lalu blok yang belum diindex (konfirmasi indexer) dari chain.
+// null jika indexer terlalu tertinggal.
+async function findPositionEvents(
+  provider,
+  contract,
+  store,
+  address,
+  blockNumber
+) {
+  const lastIndexed = await store.getLastIndexedBlock();
+  if (
+    lastIndexed === null ||
+    blockNumber - lastIndexed > MAX_UNINDEXED_BLOCKS
+  ) {
+    return null;
+  }
+
+  const indexed = await store.findPositionEvents(
+    address,
+    POSITION_EVENTS,
+    blockNumber
+  );
+  if (lastIndexed >= blockNumber) return indexed;
+
+  const logs = await provider.getLogs({
+    address: contract.address,
+    topics: [
+      POSITION_EVENTS.map((name) => contract.interface.getEventTopic(name)),
+    ],
+    fromBlock: lastIndexed + 1,
+    toBlock: blockNumber,
+  });
+  const account = address.toLowerCase();
+  const recent = logs
+    .map((log) => contract.interface.parseLog(log))
+    .map(({ name, args }) => ({ event: name, args }))
+    .filter(({ args }) =>
+      [args.user, args.from, args.to, args.borrower].some(
+        (value) => value && value.toLowerCase() === account
+      )
+    );
+
+  return [...indexed, ...recent];
+}
+
+/**
+ * Pokok supply dan borrow per symbol dari riwayat event: supply/borrow
+ * menambah pokok, withdraw/repay (termasuk collateral yang disita dan utang
+ * yang dilunasi liquidator) mengurangi pokok lebih dulu sebelum bunga,
+ * tidak di bawah 0.
+ */
+function positionPrincipals(address, positionEvents) {
+  const account = address.toLowerCase();
+  const principals = {};
+  const adjust = (symbol, side, amount) => {
+    const principal = principals[symbol] || {
+      supplied: ethers.constants.Zero,
+      borrowed: ethers.constants.Zero,
+    };
+    const next = principal[side].add(amount);
+    principal[side] = next.isNegative() ? ethers.constants.Zero : next;
+    principals[symbol] = principal;
+  };
+  const isAccount = (value) => value && value.toLowerCase() === account;
+
+  positionEvents.forEach(({ event, args }) => {
+    const amount = ethers.BigNumber.from(args.amount);
+    switch (event) {
+      case "Supplied":
+        adjust(args.symbol, "supplied", amount);
+        break;
+      case "Withdrawn":
+        adjust(args.symbol, "supplied", amount.mul(-1));
+        break;
+      case "Borrowed":
+        adjust(args.symbol, "borrowed", amount);
+        break;
+      case "Repaid":
+        adjust(args.symbol, "borrowed", amount.mul(-1));
+        break;
+      case "SupplyTransferred":
+        if (isAccount(args.from)) {
+          adjust(args.symbol, "supplied", amount.mul(-1));
+        }
+        if (isAccount(args.to)) adjust(args.symbol, "supplied", amount);
+        break;
+      case "Liquidated":
+        if (isAccount(args.borrower)) {
+          adjust(args.symbol, "borrowed", amount.mul(-1));
+          adjust(
+            args.collateralSymbol,
+            "supplied",
+            ethers.BigNumber.from(args.collateralSeized).mul(-1)
+          );
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  return principals;
+}
+
+// Satu baris supplied/borrowed; accruedInterest adalah bunga posisi ini,
+// saldo sekarang dikurangi pokok (null jika pokok tidak diketahui). Saldo
+// scaled, index dan rate dikirim supaya frontend bisa memproyeksikan saldo
+// ke waktu sekarang.
+function toPortfolioAsset(asset, { amount, principal, scaled, index, rate }) {
+  const { symbol, price, token } = asset;
+  const interest =
+    principal === null
+      ? null
+      : amount.gt(principal)
+      ? amount.sub(principal)
+      : ethers.constants.Zero;
+  const format = (value, formatter) =>
+    value === null ? null : formatter(value);
+
+  return {
+    symbol,
+    name: token.name,
+    decimals: token.decimals,
+    amount: ethers.utils.formatUnits(amount, token.decimals),
+    amountRaw: amount.toString(),
+    amountUSD: ethers.utils.formatEther(
+      usdValue(amount, price, token.decimals)
+    ),
+    price: ethers.utils.formatEther(price),
+    apy: formatApy(rate),
+    principal: format(principal, (value) =>
+      ethers.utils.formatUnits(value, token.decimals)
+    ),
+    principalRaw: format(principal, (value) => value.toString()),
+    accruedInterest: format(interest, (value) =>
+      ethers.utils.formatUnits(value, token.decimals)
+    ),
+    accruedInterestRaw: format(interest, (value) => value.toString()),
+    accruedInterestUSD: format(interest, (value) =>
+      ethers.utils.formatEther(usdValue(value, price, token.decimals))
+    ),
+    scaledAmountRaw: scaled.toString(),
+    index: index.toString(),
+    interestRate: rate.toString(),
+  };
+}
+
+/**
+ * Posisi `address` pada blok terbaru, dihitung dari index bunga pada
+ * timestamp blok. Bunga per posisi dihitung dari pokok di event terindex.
+ * Health factor dihitung lintas asset: total collateral (collateralFactor)
+ * dibanding total utang dalam USD, null jika tidak ada utang.
+ */
+async function fetchPortfolio(provider, contract, store, address) {
+  const blockNumber = await provider.getBlockNumber();
+  const [{ assets }, block, positionEvents] = await Promise.all([
+    readAssets(provider, contract, blockNumber),
+    provider.getBlock(blockNumber),
+    findPositionEvents(provider, contract, store, address, blockNumber),
+  ]);
+  const principals =
+    positionEvents && positionPrincipals(address, positionEvents);
+  const principalOf = (symbol, side) =>
+    principals
+      ? (principals[symbol] && principals[symbol][side]) ||
+        ethers.constants.Zero
+      : null;
+  const positions = await multicall(
+    provider,
+    assets.map(({ symbol }) => ({
+      contract,
+      method: "userPositions",
+      args: [address, symbol],
+    })),
+    blockNumber
+  );
+
+  const suppliedAssets = [];
+  const borrowedAssets = [];
+  let supplyBalance = ethers.constants.Zero;
+  let borrowBalance = ethers.constants.Zero;
+  let borrowLimit = ethers.constants.Zero;
+  // Bunga per tahun dalam USD, untuk net APY
+  let yearlyInterest = ethers.constants.Zero;
+
+  assets.forEach((asset, i) => {
+    const { details, index, price, token } = asset;
+    const position = positions[i];
+    const indexes = currentIndexes(index, details, block.timestamp);
+    const { supplied, borrowed } = positionBalances(position, indexes);
+
+    if (!supplied.isZero()) {
+      const suppliedUSD = usdValue(supplied, price, token.decimals);
+      const isCollateral = !position.collateralDisabled;
+      supplyBalance = supplyBalance.add(suppliedUSD);
+      if (isCollateral) {
+        borrowLimit = borrowLimit.add(
+          suppliedUSD.mul(details.collateralFactor).div(BASIS_POINTS)
+        );
+      }
+      yearlyInterest = yearlyInterest.add(
+        suppliedUSD.mul(details.supplyInterestRate).div(BASIS_POINTS)
+      );
+      suppliedAssets.push({
+        ...toPortfolioAsset(asset, {
+          amount: supplied,
+          principal: principalOf(asset.symbol, "supplied"),
+          scaled: position.scaledSupplied,
+          index: indexes.supplyIndex,
+          rate: details.supplyInterestRate,
+        }),
+        isCollateral,
+      });
+    }
+
+    if (!borrowed.isZero()) {
+      const borrowedUSD = usdValue(borrowed, price, token.decimals);
+      borrowBalance = borrowBalance.add(borrowedUSD);
+      yearlyInterest = yearlyInterest.sub(
+        borrowedUSD.mul(details.borrowInterestRate).div(BASIS_POINTS)
+      );
+      borrowedAssets.push(
+        toPortfolioAsset(asset, {
+          amount: borrowed,
+          principal: principalOf(asset.symbol, "borrowed"),
+          scaled: position.scaledBorrowed,
+          index: indexes.borrowIndex,
+          rate: details.borrowInterestRate,
+        })
+      );
+    }
+  });
+
+  const borrowLimitUsed = borrowLimit.isZero()
+    ? borrowBalance.isZero()
+      ? "0.00"
+      : null
+    : ethers.utils.formatUnits(
+        borrowBalance.mul(BASIS_POINTS).div(borrowLimit),
+        2
+      );
+
+  return {
+    address,
+    blockNumber,
+    timestamp: block.timestamp,
+    suppliedAssets,
+    borrowedAssets,
+    totals: {
+      supplyBalance: ethers.utils.formatEther(supplyBalance),
+      borrowBalance: ethers.utils.formatEther(borrowBalance),
+      borrowLimit: ethers.utils.formatEther(borrowLimit),
+      borrowLimitUsed,
+      // Bunga bersih per tahun relatif terhadap supply balance, pecahan
+      netAPY: supplyBalance.isZero()
+        ? null
+        : formatApy(yearlyInterest.mul(BASIS_POINTS).div(supplyBalance)),
+      healthFactor: formatHealthFactor(
+        borrowBalance.isZero()
+          ? null
+          : borrowLimit.mul(BASIS_POINTS).div(borrowBalance)
+      ),
+    },
+  };
+}
+
+module.exports = { fetchPortfolio };
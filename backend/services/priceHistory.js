@@ -0,0 +1,228 @@
+// services/priceHistory.js
+// Membaca histori harga langsung dari round Chainlink aggregator (tanpa data mock)
+const ethers = require("ethers");
+
+const AGGREGATOR_ABI = [
+  "function decimals() view returns (uint8)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+  "function getRoundData(uint80 _roundId) view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+  "function phaseAggregators(uint16 phaseId) view returns (address)",
+];
+
+const INTERVALS = {
+  "1h": 3600,
+  "1d": 86400,
+  "1w": 604800,
+};
+
+const DURATION_UNITS = {
+  h: 3600,
+  d: 86400,
+  w: 604800,
+  y: 31536000,
+};
+
+// Round id Chainlink proxy = (phaseId << 64) | aggregatorRoundId
+const PHASE_OFFSET = 64;
+const AGGREGATOR_ROUND_MASK = ethers.BigNumber.from(2).pow(PHASE_OFFSET).sub(1);
+
+const ROUND_BATCH_SIZE = 25;
+const MAX_ROUNDS = parseInt(process.env.PRICE_HISTORY_MAX_ROUNDS || "5000", 10);
+
+// Cache round per price feed: { decimals, rounds (urut naik), exhausted }
+const feedCache = new Map();
+
+function parseDuration(value) {
+  const match = /^(\d+)([hdwy])$/.exec(value || "");
+  if (!match) return null;
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+}
+
+function toRound(data) {
+  return {
+    roundId: data.roundId,
+    answer: data.answer,
+    updatedAt: data.updatedAt.toNumber(),
+  };
+}
+
+function isValidRound(round) {
+  return round && round.updatedAt > 0 && round.answer.gt(0);
+}
+
+async function fetchRound(feed, roundId) {
+  try {
+    return toRound(await feed.getRoundData(roundId));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Cari round terakhir dari phase sebelumnya, null jika feed bukan proxy
+async function lastRoundOfPreviousPhase(feed, roundId) {
+  const phaseId = roundId.shr(PHASE_OFFSET).toNumber();
+  if (phaseId <= 1) return null;
+
+  try {
+    const aggregatorAddress = await feed.phaseAggregators(phaseId - 1);
+    if (aggregatorAddress === ethers.constants.AddressZero) return null;
+
+    const aggregator = feed.attach(aggregatorAddress);
+    const latest = await aggregator.latestRoundData();
+    return ethers.BigNumber.from(phaseId - 1)
+      .shl(PHASE_OFFSET)
+      .or(latest.roundId);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Walk mundur dari round sebelum `roundId` sampai `shouldStop(round)` atau
+ * tidak ada round lagi. Hasil diurutkan naik berdasarkan waktu.
+ */
+async function walkBack(feed, roundId, shouldStop, maxRounds) {
+  const rounds = [];
+  let cursor = roundId;
+  let exhausted = false;
+
+  while (rounds.length < maxRounds) {
+    const aggregatorRound = cursor.and(AGGREGATOR_ROUND_MASK);
+
+    if (aggregatorRound.lte(1)) {
+      cursor = await lastRoundOfPreviousPhase(feed, cursor);
+      if (!cursor) {
+        exhausted = true;
+        break;
+      }
+      const round = await fetchRound(feed, cursor);
+      if (!isValidRound(round) || shouldStop(round)) break;
+      rounds.push(round);
+      continue;
+    }
+
+    const batchSize = Math.min(
+      ROUND_BATCH_SIZE,
+      aggregatorRound.sub(1).toNumber(),
+      maxRounds - rounds.length
+    );
+    const ids = [];
+    for (let i = 1; i <= batchSize; i++) ids.push(cursor.sub(i));
+
+    const batch = await Promise.all(ids.map((id) => fetchRound(feed, id)));
+
+    let stop = false;
+    for (const round of batch) {
+      if (!isValidRound(round)) continue;
+      if (shouldStop(round)) {
+        stop = true;
+        break;
+      }
+      rounds.push(round);
+    }
+    if (stop) break;
+
+    cursor = ids[ids.length - 1];
+  }
+
+  return { rounds: rounds.reverse(), exhausted };
+}
+
+async function loadRounds(provider, feedAddress, from) {
+  const feed = new ethers.Contract(feedAddress, AGGREGATOR_ABI, provider);
+  let cache = feedCache.get(feedAddress);
+
+  if (!cache) {
+    cache = {
+      decimals: await feed.decimals(),
+      rounds: [],
+      exhausted: false,
+    };
+    feedCache.set(feedAddress, cache);
+  }
+
+  const latest = toRound(await feed.latestRoundData());
+  const newest = cache.rounds[cache.rounds.length - 1];
+
+  // Round baru sejak request terakhir
+  if (!newest || latest.updatedAt > newest.updatedAt) {
+    const fresh = newest
+      ? await walkBack(
+          feed,
+          latest.roundId,
+          (round) => round.updatedAt <= newest.updatedAt,
+          MAX_ROUNDS
+        )
+      : { rounds: [] };
+    // Terlalu banyak round baru untuk disambung, mulai ulang cache dari head
+    if (fresh.rounds.length >= MAX_ROUNDS) {
+      cache.rounds = [];
+      cache.exhausted = false;
+    }
+    cache.rounds.push(...fresh.rounds, latest);
+  }
+
+  // Round lama yang belum pernah diambil
+  const oldest = cache.rounds[0];
+  if (!cache.exhausted && oldest.updatedAt > from) {
+    const older = await walkBack(
+      feed,
+      oldest.roundId,
+      (round) => round.updatedAt < from,
+      Math.max(MAX_ROUNDS - cache.rounds.length, 0)
+    );
+    cache.rounds.unshift(...older.rounds);
+    cache.exhausted = older.exhausted;
+  }
+
+  return cache;
+}
+
+// Satu titik per interval: harga round terakhir yang berlaku di akhir interval
+function downsample(rounds, from, to, interval) {
+  const points = [];
+  let index = 0;
+  let current = null;
+
+  for (let t = from + interval; t <= to + interval - 1; t += interval) {
+    const bucketEnd = Math.min(t, to);
+    while (index < rounds.length && rounds[index].updatedAt <= bucketEnd) {
+      current = rounds[index];
+      index++;
+    }
+    if (current) {
+      points.push({ timestamp: bucketEnd, round: current });
+    }
+  }
+
+  return points;
+}
+
+const pending = new Map();
+
+async function getPriceHistory(provider, feedAddress, { from, to, interval }) {
+  // Request paralel untuk feed yang sama menunggu walk yang sedang berjalan
+  while (pending.has(feedAddress)) {
+    await pending.get(feedAddress).catch(() => {});
+  }
+
+  const task = loadRounds(provider, feedAddress, from);
+  pending.set(feedAddress, task);
+  let cache;
+  try {
+    cache = await task;
+  } finally {
+    pending.delete(feedAddress);
+  }
+
+  return downsample(cache.rounds, from, to, interval).map(
+    ({ timestamp, round }) => ({
+      timestamp,
+      price: ethers.utils.formatUnits(round.answer, cache.decimals),
+      roundId: round.roundId.toString(),
+      updatedAt: round.updatedAt,
+    })
+  );
+}
+
+module.exports = { getPriceHistory, parseDuration, INTERVALS };
@@ -0,0 +1,152 @@
+// services/responseCache.js
+// Cache response API yang sadar blok: entry kadaluarsa saat ada blok baru,
+// TTL habis, atau event terindex menyentuh symbol/user yang terkait
+const DEFAULT_TTL = 30; // detik
+const DEFAULT_MAX_BLOCKS = 1;
+const DEFAULT_MAX_ENTRIES = 500;
+
+function readNumber(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === "") return fallback;
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * Policy per route dari .env, mis. CACHE_TTL_ASSETS dan CACHE_MAX_BLOCKS_ASSETS,
+ * lalu default route, lalu CACHE_TTL / CACHE_MAX_BLOCKS global.
+ * maxBlocks = 0 berarti entry tidak ikut kadaluarsa karena blok baru.
+ */
+function readPolicy(name, defaults = {}) {
+  const suffix = name.toUpperCase().replace(/-/g, "_");
+  const ttl =
+    defaults.ttl !== undefined
+      ? defaults.ttl
+      : readNumber("CACHE_TTL", DEFAULT_TTL);
+  const maxBlocks =
+    defaults.maxBlocks !== undefined
+      ? defaults.maxBlocks
+      : readNumber("CACHE_MAX_BLOCKS", DEFAULT_MAX_BLOCKS);
+
+  return {
+    ttl: readNumber(`CACHE_TTL_${suffix}`, ttl),
+    maxBlocks: readNumber(`CACHE_MAX_BLOCKS_${suffix}`, maxBlocks),
+  };
+}
+
+class ResponseCache {
+  constructor({ provider, enabled = true, maxEntries = DEFAULT_MAX_ENTRIES }) {
+    this.provider = provider;
+    this.enabled = enabled;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.headBlock = null;
+
+    provider.on("block", (blockNumber) => {
+      this.headBlock = Math.max(this.headBlock || 0, blockNumber);
+    });
+  }
+
+  // Hapus entry berdasarkan event yang sudah diindex
+  attach(indexer) {
+    indexer.on("events", (events) => {
+      const tags = new Set();
+      events.forEach((event) => {
+        if (event.symbol) tags.add(`symbol:${event.symbol}`);
+        // Likuidasi juga mengubah asset collateral yang disita
+        if (event.args.collateralSymbol) {
+          tags.add(`symbol:${event.args.collateralSymbol}`);
+        }
+        event.accounts.forEach((account) => tags.add(`user:${account}`));
+      });
+      this.invalidate([...tags]);
+    });
+  }
+
+  invalidate(tags) {
+    for (const [key, entry] of this.entries) {
+      if (entry.tags.some((tag) => tags.includes(tag))) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async getHeadBlock() {
+    if (this.headBlock === null) {
+      this.headBlock = await this.provider.getBlockNumber();
+    }
+    return this.headBlock;
+  }
+
+  isFresh(entry, policy, headBlock) {
+    const age = (Date.now() - entry.createdAt) / 1000;
+    if (age >= policy.ttl) return false;
+    if (
+      policy.maxBlocks > 0 &&
+      headBlock - entry.blockNumber >= policy.maxBlocks
+    ) {
+      return false;
+    }
+    return true;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Middleware Express untuk route `name`. `tags(req, body)` menentukan
+   * symbol/user yang membuat entry ini invalid saat ada event, `defaults`
+   * menimpa policy global untuk route ini.
+   */
+  middleware(name, { tags = () => [], defaults } = {}) {
+    const policy = readPolicy(name, defaults);
+
+    return async (req, res, next) => {
+      if (!this.enabled || policy.ttl <= 0) return next();
+
+      try {
+        const key = `${name}:${req.originalUrl}`;
+        const headBlock = await this.getHeadBlock();
+        const entry = this.entries.get(key);
+
+        if (entry && this.isFresh(entry, policy, headBlock)) {
+          res.set({
+            "X-Cache": "HIT",
+            "X-Cache-Block": String(entry.blockNumber),
+            "X-Cache-Age": String(
+              Math.floor((Date.now() - entry.createdAt) / 1000)
+            ),
+          });
+          return res.status(entry.status).json(entry.body);
+        }
+
+        res.set({ "X-Cache": "MISS", "X-Cache-Block": String(headBlock) });
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+          if (res.statusCode === 200) {
+            this.set(key, {
+              body,
+              status: res.statusCode,
+              blockNumber: headBlock,
+              createdAt: Date.now(),
+              tags: tags(req, body),
+            });
+          }
+          return json(body);
+        };
+
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+module.exports = { ResponseCache };
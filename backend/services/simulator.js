@@ -0,0 +1,264 @@
+// services/simulator.js
+// Simulasi what-if: jalankan daftar aksi hipotetis terhadap posisi user saat ini
+const ethers = require("ethers");
+const { multicall } = require("./multicall");
+const { isPaused, readAssets } = require("./market");
+const {
+  BASIS_POINTS,
+  accountLiquidity,
+  checkHealthFactor,
+  currentIndexes,
+  healthFactor,
+  isHealthy,
+  positionBalances,
+  usdValue,
+} = require("./lendingMath");
+
+const ACTION_TYPES = ["supply", "withdraw", "borrow", "repay", "price"];
+
+const formatHealthFactor = (raw) =>
+  raw === null ? null : ethers.utils.formatUnits(raw, 4);
+
+// getAccountLiquidity jika `entry` menggantikan posisi symbol-nya di state
+function liquidityWith(state, entry) {
+  const next = new Map(state).set(entry.symbol, entry);
+  return accountLiquidity([...next.values()]);
+}
+
+/**
+ * Jalankan satu aksi dengan urutan require yang sama seperti di kontrak.
+ * Semua aksi terjadi pada timestamp blok yang sama, jadi saldo di state
+ * sudah termasuk bunga dari index dan tidak bertambah antar aksi.
+ * Health factor dicek untuk seluruh akun, bukan hanya symbol aksi.
+ * Return { entry } jika berhasil atau { reason } jika transaksi akan revert;
+ * revert karena health factor menyertakan `attempted`, posisi jika aksi
+ * tetap dijalankan.
+ */
+function applyAction(state, action) {
+  const entry = state.get(action.symbol);
+
+  if (action.type === "price") {
+    // Perubahan harga dalam persen, misal -20 untuk turun 20%
+    const changeBps = Math.round(action.change * 100);
+    return {
+      entry: {
+        ...entry,
+        price: entry.price.mul(BASIS_POINTS + changeBps).div(BASIS_POINTS),
+      },
+    };
+  }
+
+  const amount = action.amount;
+  // Asset tidak aktif hanya menolak supply dan borrow baru
+  if (
+    (action.type === "supply" || action.type === "borrow") &&
+    !entry.isActive
+  ) {
+    return { reason: "Asset not active" };
+  }
+  if (isPaused(entry.pausedActions, action.type)) {
+    return { reason: "Action paused" };
+  }
+  if (amount.isZero()) return { reason: "Amount must be greater than 0" };
+
+  switch (action.type) {
+    case "supply":
+      if (
+        !entry.supplyCap.isZero() &&
+        entry.totalSupplied.add(amount).gt(entry.supplyCap)
+      ) {
+        return { reason: "Supply cap exceeded" };
+      }
+      return {
+        entry: {
+          ...entry,
+          supplied: entry.supplied.add(amount),
+          totalSupplied: entry.totalSupplied.add(amount),
+        },
+      };
+    case "withdraw": {
+      if (entry.supplied.lt(amount)) return { reason: "Insufficient balance" };
+      const updated = {
+        ...entry,
+        supplied: entry.supplied.sub(amount),
+        totalSupplied: entry.totalSupplied.sub(amount),
+      };
+      if (!checkHealthFactor(liquidityWith(state, updated))) {
+        return { reason: "Health factor too low", attempted: updated };
+      }
+      return { entry: updated };
+    }
+    case "borrow": {
+      if (entry.totalSupplied.lt(entry.totalBorrowed.add(amount))) {
+        return { reason: "Insufficient liquidity" };
+      }
+      if (
+        !entry.borrowCap.isZero() &&
+        entry.totalBorrowed.add(amount).gt(entry.borrowCap)
+      ) {
+        return { reason: "Borrow cap exceeded" };
+      }
+      const updated = {
+        ...entry,
+        borrowed: entry.borrowed.add(amount),
+        totalBorrowed: entry.totalBorrowed.add(amount),
+      };
+      if (!checkHealthFactor(liquidityWith(state, updated))) {
+        return { reason: "Health factor too low", attempted: updated };
+      }
+      return { entry: updated };
+    }
+    case "repay": {
+      if (entry.borrowed.isZero()) return { reason: "No outstanding loan" };
+      const repayAmount = amount.gt(entry.borrowed) ? entry.borrowed : amount;
+      return {
+        entry: {
+          ...entry,
+          borrowed: entry.borrowed.sub(repayAmount),
+          totalBorrowed: entry.totalBorrowed.sub(repayAmount),
+        },
+      };
+    }
+    default:
+      throw new Error(`Unknown action type: ${action.type}`);
+  }
+}
+
+// Ringkasan posisi, health factor akun dan pemakaian borrow limit
+function summarize(state) {
+  const current = [...state.values()];
+  const liquidity = accountLiquidity(current);
+  const { collateralValue: borrowLimit, borrowValue: totalBorrowed } =
+    liquidity;
+
+  const positions = current.map((entry) => ({
+    symbol: entry.symbol,
+    decimals: entry.decimals,
+    supplied: ethers.utils.formatUnits(entry.supplied, entry.decimals),
+    borrowed: ethers.utils.formatUnits(entry.borrowed, entry.decimals),
+    suppliedRaw: entry.supplied.toString(),
+    borrowedRaw: entry.borrowed.toString(),
+    suppliedUSD: ethers.utils.formatEther(
+      usdValue(entry.supplied, entry.price, entry.decimals)
+    ),
+    borrowedUSD: ethers.utils.formatEther(
+      usdValue(entry.borrowed, entry.price, entry.decimals)
+    ),
+    price: ethers.utils.formatEther(entry.price),
+  }));
+
+  const borrowLimitUsed = borrowLimit.isZero()
+    ? totalBorrowed.isZero()
+      ? "0.00"
+      : null
+    : ethers.utils.formatUnits(
+        totalBorrowed.mul(BASIS_POINTS).div(borrowLimit),
+        2
+      );
+
+  return {
+    positions,
+    healthFactor: formatHealthFactor(healthFactor(liquidity)),
+    // Health factor terhadap liquidationThreshold, < 1 berarti bisa dilikuidasi
+    liquidationHealthFactor: formatHealthFactor(
+      healthFactor({
+        collateralValue: liquidity.liquidationValue,
+        borrowValue: liquidity.borrowValue,
+      })
+    ),
+    borrowLimit: ethers.utils.formatEther(borrowLimit),
+    totalBorrowed: ethers.utils.formatEther(totalBorrowed),
+    borrowLimitUsed,
+    // Di bawah liquidationThreshold akun bisa dilikuidasi
+    liquidatable: !isHealthy(liquidity),
+  };
+}
+
+/**
+ * Simulasikan `actions` secara berurutan untuk `address` pada blok terbaru.
+ * Aksi yang revert tidak mengubah state, aksi berikutnya tetap dijalankan.
+ * Setiap aksi: { type, symbol, amount } dengan amount dalam unit terkecil
+ * token (BigNumber), atau
+ * { type: "price", symbol, change } dengan change dalam persen.
+ */
+async function simulate(provider, contract, address, actions) {
+  const blockNumber = await provider.getBlockNumber();
+  const [{ assets }, block] = await Promise.all([
+    readAssets(provider, contract, blockNumber),
+    provider.getBlock(blockNumber),
+  ]);
+  const positions = await multicall(
+    provider,
+    assets.map(({ symbol }) => ({
+      contract,
+      method: "userPositions",
+      args: [address, symbol],
+    })),
+    blockNumber
+  );
+
+  const state = new Map(
+    assets.map(
+      ({ symbol, details, index, price, caps, pausedActions, token }, i) => [
+        symbol,
+        {
+          symbol,
+          price,
+          decimals: token.decimals,
+          isActive: details.isActive,
+          collateralFactor: details.collateralFactor,
+          liquidationThreshold: details.liquidationThreshold,
+          totalSupplied: details.totalSupplied,
+          totalBorrowed: details.totalBorrowed,
+          collateralEnabled: !positions[i].collateralDisabled,
+          supplyCap: caps.supplyCap,
+          borrowCap: caps.borrowCap,
+          pausedActions,
+          ...positionBalances(
+            positions[i],
+            currentIndexes(index, details, block.timestamp)
+          ),
+        },
+      ]
+    )
+  );
+
+  const before = summarize(state);
+  const steps = actions.map((action, index) => {
+    const { entry, reason, attempted } = applyAction(state, action);
+    // Ringkasan jika aksi yang revert tetap dijalankan, state tidak berubah
+    const attemptedSummary = attempted
+      ? summarize(new Map(state).set(action.symbol, attempted))
+      : null;
+    if (entry) state.set(action.symbol, entry);
+
+    return {
+      index,
+      type: action.type,
+      symbol: action.symbol,
+      amount: action.amount
+        ? ethers.utils.formatUnits(
+            action.amount,
+            state.get(action.symbol).decimals
+          )
+        : null,
+      change: action.type === "price" ? action.change : null,
+      success: !reason,
+      revertReason: reason || null,
+      attempted: attemptedSummary,
+      ...summarize(state),
+    };
+  });
+
+  return {
+    address,
+    blockNumber,
+    timestamp: block.timestamp,
+    success: steps.every((step) => step.success),
+    before,
+    steps,
+    after: summarize(state),
+  };
+}
+
+module.exports = { simulate, ACTION_TYPES };
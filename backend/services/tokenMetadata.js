@@ -0,0 +1,53 @@
+// services/tokenMetadata.js
+// Metadata ERC20 (name, symbol, decimals) per token, di-cache karena tidak berubah
+const ethers = require("ethers");
+const { multicall } = require("./multicall");
+
+const ERC20_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+];
+
+// decimals() opsional di standar ERC20, default sama dengan ETH
+const DEFAULT_DECIMALS = 18;
+
+const cache = new Map();
+
+/**
+ * Metadata untuk setiap alamat di `tokenAddresses`, urutan sama dengan input.
+ * Token yang belum ada di cache dibaca sekaligus lewat multicall.
+ */
+async function getTokenMetadata(provider, tokenAddresses) {
+  const missing = [
+    ...new Set(tokenAddresses.map((address) => address.toLowerCase())),
+  ].filter((address) => !cache.has(address));
+
+  if (missing.length > 0) {
+    const results = await multicall(
+      provider,
+      missing.flatMap((address) => {
+        const token = new ethers.Contract(address, ERC20_ABI, provider);
+        return ["name", "symbol", "decimals"].map((method) => ({
+          contract: token,
+          method,
+          allowFailure: true,
+        }));
+      })
+    );
+
+    missing.forEach((address, i) => {
+      const [name, symbol, decimals] = results.slice(i * 3, i * 3 + 3);
+      cache.set(address, {
+        address: ethers.utils.getAddress(address),
+        name,
+        symbol,
+        decimals: decimals === null ? DEFAULT_DECIMALS : decimals,
+      });
+    });
+  }
+
+  return tokenAddresses.map((address) => cache.get(address.toLowerCase()));
+}
+
+module.exports = { getTokenMetadata };
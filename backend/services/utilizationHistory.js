@@ -0,0 +1,112 @@
+// services/utilizationHistory.js
+// Riwayat total supply/borrow dan utilization satu asset dari event yang sudah diindex
+const ethers = require("ethers");
+const { BASIS_POINTS } = require("./lendingMath");
+const { getTokenMetadata } = require("./tokenMetadata");
+const { historyTimestamps } = require("./history");
+
+// Perubahan total asset `symbol` oleh satu event, sama seperti di kontrak
+function applyEvent(totals, event, direction, symbol) {
+  const amount = ethers.BigNumber.from(event.args.amount).mul(direction);
+  switch (event.event) {
+    case "Supplied":
+      return { ...totals, supplied: totals.supplied.add(amount) };
+    case "Withdrawn":
+      return { ...totals, supplied: totals.supplied.sub(amount) };
+    case "Borrowed":
+      return { ...totals, borrowed: totals.borrowed.add(amount) };
+    case "Repaid":
+      return { ...totals, borrowed: totals.borrowed.sub(amount) };
+    case "Liquidated": {
+      // Utang direpay di event.symbol, collateral disita di collateralSymbol
+      // (bisa asset yang sama)
+      const seized = ethers.BigNumber.from(event.args.collateralSeized).mul(
+        direction
+      );
+      return {
+        supplied:
+          event.args.collateralSymbol === symbol
+            ? totals.supplied.sub(seized)
+            : totals.supplied,
+        borrowed:
+          event.symbol === symbol
+            ? totals.borrowed.sub(amount)
+            : totals.borrowed,
+      };
+    }
+    default:
+      return totals;
+  }
+}
+
+const EMPTY_TOTALS = {
+  supplied: ethers.constants.Zero,
+  borrowed: ethers.constants.Zero,
+};
+
+function toPoint(timestamp, { supplied, borrowed }, decimals) {
+  // Bunga tidak tercatat sebagai event, nilai lama bisa sedikit negatif
+  const zero = ethers.constants.Zero;
+  const totalSupplied = supplied.lt(zero) ? zero : supplied;
+  const totalBorrowed = borrowed.lt(zero) ? zero : borrowed;
+  const utilizationRate = totalSupplied.isZero()
+    ? 0
+    : totalBorrowed.mul(BASIS_POINTS).div(totalSupplied).toNumber() / 100;
+
+  return {
+    timestamp,
+    totalSupplied: ethers.utils.formatUnits(totalSupplied, decimals),
+    totalBorrowed: ethers.utils.formatUnits(totalBorrowed, decimals),
+    utilizationRate: utilizationRate.toFixed(2),
+  };
+}
+
+/**
+ * Mulai dari total saat ini lalu mundur membatalkan event satu per satu,
+ * satu titik per interval seperti getPriceHistory. Rentang dihitung dari
+ * timestamp blok terbaru supaya sejajar dengan timestamp event.
+ */
+async function getUtilizationHistory(
+  provider,
+  contract,
+  store,
+  symbol,
+  { range, interval }
+) {
+  const block = await provider.getBlock("latest");
+  const to = block.timestamp;
+  const from = to - range;
+  const [details, events, firstEventTimestamp] = await Promise.all([
+    contract.getAssetDetails(symbol, { blockTag: block.number }),
+    store.findMarketEvents(symbol, { fromTimestamp: from }),
+    store.getFirstMarketEventTimestamp(symbol),
+  ]);
+  const [{ decimals }] = await getTokenMetadata(provider, [
+    details.tokenAddress,
+  ]);
+
+  const timestamps = historyTimestamps(from, to, interval);
+
+  let totals = {
+    supplied: details.totalSupplied,
+    borrowed: details.totalBorrowed,
+  };
+  let index = 0;
+  const points = [];
+
+  for (const timestamp of timestamps.reverse()) {
+    while (index < events.length && events[index].timestamp > timestamp) {
+      totals = applyEvent(totals, events[index], -1, symbol);
+      index++;
+    }
+    // Sebelum event pertama pasar masih kosong, sisa bunga diabaikan
+    // (asumsi indexer mulai dari blok deploy kontrak)
+    const empty =
+      firstEventTimestamp === null || timestamp < firstEventTimestamp;
+    points.push(toPoint(timestamp, empty ? EMPTY_TOTALS : totals, decimals));
+  }
+
+  return points.reverse();
+}
+
+module.exports = { getUtilizationHistory };
@@ -14,6 +14,8 @@ import Dashboard from "./pages/Dashboard";
 import Supply from "./pages/Supply";
 import Borrow from "./pages/Borrow";
 import Market from "./pages/Market";
+import MarketDetail from "./pages/MarketDetail";
+import Liquidations from "./pages/Liquidations";
 import NotFound from "./pages/NotFound";
 
 // Contexts
@@ -109,6 +111,8 @@ function App() {
               <Route path="/supply" element={<Supply />} />
               <Route path="/borrow" element={<Borrow />} />
               <Route path="/market" element={<Market />} />
+              <Route path="/market/:symbol" element={<MarketDetail />} />
+              <Route path="/liquidations" element={<Liquidations />} />
               <Route path="/404" element={<NotFound />} />
               <Route path="*" element={<Navigate to="/404" />} />
             </Routes>
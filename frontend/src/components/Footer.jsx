@@ -53,6 +53,14 @@ function Footer() {
                     Markets
                   </a>
                 </li>
+                <li>
+                  <a
+                    href="/liquidations"
+                    className="text-gray-300 hover:text-white transition-colors"
+                  >
+                    Liquidations
+                  </a>
+                </li>
               </ul>
             </div>
             <div>
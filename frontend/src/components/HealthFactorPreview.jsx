@@ -0,0 +1,137 @@
+import { useState, useEffect } from "react";
+import { simulateActions } from "../services/contractService";
+
+const formatHealthFactor = (value) =>
+  value === null ? "∞" : parseFloat(value).toFixed(2);
+
+const healthFactorColor = (value) => {
+  if (value === null) return "text-green-600";
+  if (parseFloat(value) < 1.2) return "text-red-600";
+  if (parseFloat(value) < 1.5) return "text-yellow-600";
+  return "text-green-600";
+};
+
+const formatCurrency = (value) => {
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: "USD",
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(value);
+};
+
+const formatPercent = (value) =>
+  value === null ? "-" : `${parseFloat(value).toFixed(2)}%`;
+
+// Health factor dan borrow limit saat ini vs. setelah aksi di modal.
+// onBlockedChange(true) jika aksi akan revert atau posisi bisa dilikuidasi.
+function HealthFactorPreview({
+  account,
+  type,
+  symbol,
+  amount,
+  onBlockedChange,
+}) {
+  const [preview, setPreview] = useState(null);
+  const [pending, setPending] = useState(false);
+
+  useEffect(() => {
+    if (!account || !amount || isNaN(amount) || parseFloat(amount) <= 0) {
+      setPreview(null);
+      setPending(false);
+      return;
+    }
+
+    let cancelled = false;
+    setPending(true);
+
+    // Tunggu user selesai mengetik sebelum memanggil backend
+    const timer = setTimeout(async () => {
+      try {
+        const result = await simulateActions(account, [
+          { type, symbol, amount },
+        ]);
+        if (!cancelled) setPreview(result);
+      } catch (error) {
+        if (!cancelled) setPreview(null);
+      } finally {
+        if (!cancelled) setPending(false);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [account, type, symbol, amount]);
+
+  // Supply dan repay selalu memperbaiki posisi, jadi tidak perlu diblokir
+  const increasesRisk = type === "borrow" || type === "withdraw";
+  const projected = preview && preview.steps[0];
+  // Posisi setelah aksi, atau posisi jika aksi yang revert karena health
+  // factor tetap dijalankan; dibandingkan dengan liquidationThreshold
+  const outcome =
+    projected && (projected.success ? projected : projected.attempted);
+  const belowThreshold = Boolean(
+    increasesRisk &&
+      outcome &&
+      outcome.liquidationHealthFactor !== null &&
+      parseFloat(outcome.liquidationHealthFactor) < 1
+  );
+  const blocked =
+    pending || belowThreshold || Boolean(projected && !projected.success);
+
+  useEffect(() => {
+    if (onBlockedChange) onBlockedChange(blocked);
+  }, [blocked]);
+
+  if (!preview) return null;
+
+  const { before } = preview;
+  const after = projected.success ? projected : before;
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mb-4">
+      <div className="flex justify-between mb-2">
+        <span className="text-sm text-gray-500">Health Factor</span>
+        <span className="text-sm font-medium">
+          <span className={healthFactorColor(before.healthFactor)}>
+            {formatHealthFactor(before.healthFactor)}
+          </span>
+          {" → "}
+          <span className={healthFactorColor(after.healthFactor)}>
+            {formatHealthFactor(after.healthFactor)}
+          </span>
+        </span>
+      </div>
+      <div className="flex justify-between mb-2">
+        <span className="text-sm text-gray-500">Borrow Limit</span>
+        <span className="text-sm text-gray-900">
+          {formatCurrency(before.borrowLimit)} →{" "}
+          {formatCurrency(after.borrowLimit)}
+        </span>
+      </div>
+      <div className="flex justify-between">
+        <span className="text-sm text-gray-500">Borrow Limit Used</span>
+        <span className="text-sm text-gray-900">
+          {formatPercent(before.borrowLimitUsed)} →{" "}
+          {formatPercent(after.borrowLimitUsed)}
+        </span>
+      </div>
+
+      {!projected.success && (
+        <div className="mt-3 p-3 bg-red-100 text-red-800 rounded text-sm">
+          This transaction would revert: {projected.revertReason}
+        </div>
+      )}
+      {belowThreshold && (
+        <div className="mt-3 p-3 bg-red-100 text-red-800 rounded text-sm">
+          Your health factor would fall below the liquidation threshold and the
+          position could be liquidated.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default HealthFactorPreview;
@@ -12,6 +12,7 @@ function Navbar() {
     { name: "Supply", href: "/supply" },
     { name: "Borrow", href: "/borrow" },
     { name: "Market", href: "/market" },
+    { name: "Liquidations", href: "/liquidations" },
   ];
 
   const formatAddress = (address) => {
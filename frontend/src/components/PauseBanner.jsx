@@ -0,0 +1,40 @@
+const ACTION_LABELS = {
+  supply: "Supply",
+  withdraw: "Withdraw",
+  borrow: "Borrow",
+  repay: "Repay",
+  liquidate: "Liquidation",
+};
+
+// Banner per aksi yang di-pause guardian, dari field `paused` data asset
+function PauseBanner({ assets, actions }) {
+  const banners = actions
+    .map((action) => ({
+      action,
+      symbols: assets
+        .filter((asset) => asset.paused?.[action])
+        .map((asset) => asset.symbol),
+    }))
+    .filter(({ symbols }) => symbols.length > 0);
+
+  if (banners.length === 0) return null;
+
+  return (
+    <div className="mb-8 space-y-2">
+      {banners.map(({ action, symbols }) => (
+        <div
+          key={action}
+          className="p-3 bg-yellow-100 text-yellow-800 rounded border-l-4 border-yellow-500"
+        >
+          {ACTION_LABELS[action]} is temporarily paused{" "}
+          {symbols.length === assets.length
+            ? "for all assets"
+            : `for ${symbols.join(", ")}`}
+          .
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default PauseBanner;
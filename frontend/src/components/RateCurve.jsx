@@ -0,0 +1,70 @@
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+
+// Kurva borrow/supply APY terhadap utilization dari rate model asset,
+// dengan penanda utilization saat ini dan titik kink (optimal utilization)
+function RateCurve({ market }) {
+  const data = (market.rateCurve || []).map((point) => ({
+    utilization: parseFloat(point.utilization),
+    borrowAPY: parseFloat(point.borrowAPY),
+    supplyAPY: parseFloat(point.supplyAPY),
+  }));
+
+  return (
+    <div className="h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis
+            dataKey="utilization"
+            type="number"
+            domain={[0, 100]}
+            tickFormatter={(value) => `${value}%`}
+          />
+          <YAxis tickFormatter={(value) => `${value}%`} />
+          <Tooltip
+            formatter={(value, name) => [`${value.toFixed(2)}%`, name]}
+            labelFormatter={(label) => `Utilization ${label}%`}
+          />
+          <Legend />
+          <ReferenceLine
+            x={parseFloat(market.optimalUtilization)}
+            stroke="#9ca3af"
+            strokeDasharray="4 4"
+            label={{ value: "Optimal", position: "top", fontSize: 12 }}
+          />
+          <ReferenceLine
+            x={parseFloat(market.utilizationRate)}
+            stroke="#7c3aed"
+            label={{ value: "Current", position: "top", fontSize: 12 }}
+          />
+          <Line
+            type="linear"
+            dataKey="borrowAPY"
+            name="Borrow APY"
+            stroke="#db2777"
+            dot={false}
+          />
+          <Line
+            type="linear"
+            dataKey="supplyAPY"
+            name="Supply APY"
+            stroke="#16a34a"
+            dot={false}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+export default RateCurve;
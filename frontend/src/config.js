@@ -0,0 +1,7 @@
+// Konfigurasi frontend dari environment Vite (lihat .env.example)
+export const API_URL = import.meta.env.VITE_API_URL || "/api";
+export const CONTRACT_ADDRESS = import.meta.env.VITE_CONTRACT_ADDRESS;
+export const CHAIN_ID = parseInt(
+  import.meta.env.VITE_CHAIN_ID || "11155111",
+  10
+);
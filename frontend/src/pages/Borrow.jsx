@@ -3,12 +3,38 @@ import { useWeb3 } from "../contexts/Web3Context";
 import {
   getAllAssets,
   getUserWalletBalances,
+  getPortfolio,
   borrowAsset,
-  repayBorrowAsset,
-  approveToken,
-  getTokenAllowance,
+  repayAsset,
+  subscribeToUpdates,
+  remainingCap,
+  projectBalance,
 } from "../services/contractService";
-import { ethers } from "ethers";
+import HealthFactorPreview from "../components/HealthFactorPreview";
+import PauseBanner from "../components/PauseBanner";
+
+// Likuiditas tersedia (dibatasi sisa borrow cap) dan harga dalam angka
+// untuk kartu asset
+const toBorrowMarket = (asset) => {
+  const liquidity =
+    parseFloat(asset.totalSupplied) - parseFloat(asset.totalBorrowed);
+  const capacity = remainingCap(asset, "borrow");
+  return {
+    ...asset,
+    borrowCapRemaining: capacity === null ? null : parseFloat(capacity),
+    availableToBorrow:
+      capacity === null ? liquidity : Math.min(liquidity, parseFloat(capacity)),
+    priceUSD: parseFloat(asset.price),
+  };
+};
+
+// Perkiraan waktu sampai transaksi repay ditambang, bunga selama itu ikut
+// dihitung supaya repay maksimal melunasi seluruh utang
+const REPAY_BUFFER_SECONDS = 300;
+
+// Dibulatkan ke bawah supaya tidak melebihi batas saat dikirim ke kontrak
+const floorAmount = (value) =>
+  (Math.floor(Math.max(value, 0) * 1e6) / 1e6).toString();
 
 function Borrow() {
   const { account, provider, connected } = useWeb3();
@@ -22,56 +48,69 @@ function Borrow() {
   const [amount, setAmount] = useState("");
   const [borrowLimit, setBorrowLimit] = useState(0);
   const [borrowLimitUsed, setBorrowLimitUsed] = useState(0);
-  const [approving, setApproving] = useState(false);
   const [borrowing, setBorrowing] = useState(false);
   const [repaying, setRepaying] = useState(false);
   const [txHash, setTxHash] = useState("");
   const [error, setError] = useState("");
+  const [previewBlocked, setPreviewBlocked] = useState(false);
+
+  // Aksi yang di-pause guardian, dari data market terbaru
+  const isPaused = (symbol, action) =>
+    Boolean(assets.find((asset) => asset.symbol === symbol)?.paused?.[action]);
+
+  // Borrow limit dihitung backend untuk seluruh akun: collateral semua asset
+  // yang disupply (dikali collateralFactor) menjamin semua utang
+  const updateBorrowLimits = async () => {
+    const { totals, borrowedAssets } = await getPortfolio(account);
+    const receivedAt = Date.now() / 1000;
+
+    setBorrowLimit(parseFloat(totals.borrowLimit));
+    setBorrowLimitUsed(parseFloat(totals.borrowBalance));
+    setUserBorrowedAssets(
+      borrowedAssets.map((asset) => ({
+        ...asset,
+        userBorrowed: parseFloat(asset.amount),
+        priceUSD: parseFloat(asset.price),
+        receivedAt,
+      }))
+    );
+  };
 
-  useEffect(() => {
-    async function fetchBorrowData() {
-      try {
-        setLoading(true);
-        const assetsData = await getAllAssets();
-        setAssets(assetsData);
-
-        if (connected && account) {
-          const balances = await getUserWalletBalances(account);
-          setWalletBalances(balances);
-
-          // Calculate borrow limit based on supplied collateral
-          let totalBorrowLimit = 0;
-          let totalBorrowValue = 0;
-
-          assetsData.forEach((asset) => {
-            if (asset.userSupplied && asset.userSupplied > 0) {
-              totalBorrowLimit +=
-                asset.userSupplied * asset.priceUSD * asset.collateralFactor;
-            }
-
-            if (asset.userBorrowed && asset.userBorrowed > 0) {
-              totalBorrowValue += asset.userBorrowed * asset.priceUSD;
-            }
-          });
-
-          setBorrowLimit(totalBorrowLimit);
-          setBorrowLimitUsed(totalBorrowValue);
-          setUserBorrowedAssets(
-            assetsData.filter((asset) => asset.userBorrowed > 0)
-          );
-        }
-
-        setLoading(false);
-      } catch (err) {
-        console.error("Error fetching borrow data:", err);
-        setError("Failed to fetch borrow data");
-        setLoading(false);
+  const fetchBorrowData = async () => {
+    try {
+      setLoading(true);
+      const assetsData = await getAllAssets();
+      setAssets(assetsData.map(toBorrowMarket));
+
+      if (connected && account) {
+        const balances = await getUserWalletBalances(account);
+        setWalletBalances(balances);
+        await updateBorrowLimits();
       }
+
+      setLoading(false);
+    } catch (err) {
+      console.error("Error fetching borrow data:", err);
+      setError("Failed to fetch borrow data");
+      setLoading(false);
     }
+  };
 
+  useEffect(() => {
     fetchBorrowData();
   }, [connected, account]);
 
+  // Update live dari backend setiap ada blok atau event baru
+  useEffect(() => {
+    return subscribeToUpdates(connected ? account : null, {
+      onMarket: (data) => setAssets(data.assets.map(toBorrowMarket)),
+      onPositions: () =>
+        updateBorrowLimits().catch((err) =>
+          console.error("Error refreshing borrow limit:", err)
+        ),
+    });
+  }, [connected, account]);
+
   const handleOpenBorrowModal = (asset) => {
     setSelectedAsset(asset);
     setActiveModal("borrow");
@@ -90,41 +129,48 @@ function Borrow() {
     setAmount(e.target.value);
   };
 
-  const handleApprove = async () => {
-    if (!selectedAsset || !amount) return;
-
-    try {
-      setApproving(true);
-      setError("");
-
-      const parsedAmount = ethers.utils.parseUnits(
-        amount,
-        selectedAsset.decimals
-      );
-      const tx = await approveToken(selectedAsset.address, parsedAmount);
+  // Borrow maksimal: likuiditas dan sisa borrow cap, dibatasi sisa borrow limit
+  const handleMaxBorrow = () => {
+    const remainingLimit =
+      (borrowLimit - borrowLimitUsed) / selectedAsset.priceUSD;
+    setAmount(
+      floorAmount(Math.min(selectedAsset.availableToBorrow, remainingLimit))
+    );
+  };
 
-      await tx.wait();
-      setTxHash(tx.hash);
-    } catch (err) {
-      console.error("Approval error:", err);
-      setError(err.message || "Approval failed");
-    } finally {
-      setApproving(false);
-    }
+  // Repay maksimal: utang yang terus bertambah lewat borrow index
+  // diproyeksikan sampai transaksi ditambang (kontrak hanya menarik utang
+  // aktual), dibatasi saldo wallet
+  const handleMaxRepay = () => {
+    const walletBalance = walletBalances[selectedAsset.symbol] || "0";
+    const debt = projectBalance(
+      selectedAsset,
+      Date.now() / 1000 - selectedAsset.receivedAt + REPAY_BUFFER_SECONDS,
+      true
+    );
+    setAmount(
+      parseFloat(walletBalance) < parseFloat(debt) ? walletBalance : debt
+    );
   };
 
   const handleBorrow = async () => {
     if (!selectedAsset || !amount) return;
 
+    const { availableToBorrow, borrowCapRemaining, symbol } = selectedAsset;
+    if (parseFloat(amount) > availableToBorrow) {
+      setError(
+        borrowCapRemaining === availableToBorrow
+          ? `Amount exceeds the remaining borrow cap (${borrowCapRemaining} ${symbol})`
+          : `Amount exceeds available liquidity (${availableToBorrow} ${symbol})`
+      );
+      return;
+    }
+
     try {
       setBorrowing(true);
       setError("");
 
-      const parsedAmount = ethers.utils.parseUnits(
-        amount,
-        selectedAsset.decimals
-      );
-      const tx = await borrowAsset(selectedAsset.address, parsedAmount);
+      const tx = await borrowAsset(provider, selectedAsset.symbol, amount);
 
       await tx.wait();
       setTxHash(tx.hash);
@@ -143,15 +189,19 @@ function Borrow() {
   const handleRepay = async () => {
     if (!selectedAsset || !amount) return;
 
+    const walletBalance = walletBalances[selectedAsset.symbol] || 0;
+    if (parseFloat(amount) > parseFloat(walletBalance)) {
+      setError(
+        `Amount exceeds your wallet balance (${walletBalance} ${selectedAsset.symbol})`
+      );
+      return;
+    }
+
     try {
       setRepaying(true);
       setError("");
 
-      const parsedAmount = ethers.utils.parseUnits(
-        amount,
-        selectedAsset.decimals
-      );
-      const tx = await repayBorrowAsset(selectedAsset.address, parsedAmount);
+      const tx = await repayAsset(provider, selectedAsset.symbol, amount);
 
       await tx.wait();
       setTxHash(tx.hash);
@@ -203,6 +253,8 @@ function Borrow() {
           </div>
         </div>
 
+        <PauseBanner assets={assets} actions={["borrow", "repay"]} />
+
         {/* Available Assets to Borrow */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {assets.map((asset) => (
@@ -228,12 +280,19 @@ function Borrow() {
                   Available to Borrow: {asset.availableToBorrow.toFixed(4)}{" "}
                   {asset.symbol}
                 </p>
+                {asset.borrowCapRemaining !== null && (
+                  <p className="text-sm text-gray-600">
+                    Borrow Cap Remaining: {asset.borrowCapRemaining.toFixed(4)}{" "}
+                    {asset.symbol}
+                  </p>
+                )}
                 <p className="text-sm text-gray-600">
                   Price: ${asset.priceUSD.toFixed(2)}
                 </p>
                 <button
                   onClick={() => handleOpenBorrowModal(asset)}
-                  className="w-full bg-blue-500 text-white py-2 rounded-md hover:bg-blue-600 transition-colors"
+                  disabled={isPaused(asset.symbol, "borrow")}
+                  className="w-full bg-blue-500 text-white py-2 rounded-md hover:bg-blue-600 transition-colors disabled:opacity-50"
                 >
                   Borrow
                 </button>
@@ -276,7 +335,8 @@ function Borrow() {
                     </p>
                     <button
                       onClick={() => handleOpenRepayModal(asset)}
-                      className="w-full bg-green-500 text-white py-2 rounded-md hover:bg-green-600 transition-colors"
+                      disabled={isPaused(asset.symbol, "repay")}
+                      className="w-full bg-green-500 text-white py-2 rounded-md hover:bg-green-600 transition-colors disabled:opacity-50"
                     >
                       Repay
                     </button>
@@ -305,21 +365,37 @@ function Borrow() {
                   placeholder="Enter amount"
                   className="w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 />
+                <div className="flex justify-between items-center mt-2">
+                  <p className="text-sm text-gray-500">
+                    Available: {selectedAsset.availableToBorrow.toFixed(4)}{" "}
+                    {selectedAsset.symbol}
+                  </p>
+                  <button
+                    onClick={handleMaxBorrow}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    Max
+                  </button>
+                </div>
               </div>
+              <HealthFactorPreview
+                account={account}
+                type="borrow"
+                symbol={selectedAsset.symbol}
+                amount={amount}
+                onBlockedChange={setPreviewBlocked}
+              />
               {error && (
                 <div className="mb-4 text-red-500 text-sm">{error}</div>
               )}
               <div className="flex space-x-4">
-                <button
-                  onClick={handleApprove}
-                  disabled={approving}
-                  className="flex-1 bg-blue-500 text-white py-2 rounded-md hover:bg-blue-600 transition-colors disabled:opacity-50"
-                >
-                  {approving ? "Approving..." : "Approve"}
-                </button>
                 <button
                   onClick={handleBorrow}
-                  disabled={borrowing}
+                  disabled={
+                    borrowing ||
+                    previewBlocked ||
+                    isPaused(selectedAsset.symbol, "borrow")
+                  }
                   className="flex-1 bg-green-500 text-white py-2 rounded-md hover:bg-green-600 transition-colors disabled:opacity-50"
                 >
                   {borrowing ? "Borrowing..." : "Borrow"}
@@ -353,17 +429,42 @@ function Borrow() {
                   placeholder="Enter amount"
                   className="w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 />
-                <p className="text-sm text-gray-500 mt-2">
-                  Borrowed: {selectedAsset.userBorrowed.toFixed(4)}{" "}
-                  {selectedAsset.symbol}
-                </p>
+                <div className="flex justify-between items-center mt-2">
+                  <p className="text-sm text-gray-500">
+                    Borrowed: {selectedAsset.userBorrowed.toFixed(4)}{" "}
+                    {selectedAsset.symbol}
+                    <br />
+                    Wallet:{" "}
+                    {parseFloat(
+                      walletBalances[selectedAsset.symbol] || 0
+                    ).toFixed(4)}{" "}
+                    {selectedAsset.symbol}
+                  </p>
+                  <button
+                    onClick={handleMaxRepay}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    Max
+                  </button>
+                </div>
               </div>
+              <HealthFactorPreview
+                account={account}
+                type="repay"
+                symbol={selectedAsset.symbol}
+                amount={amount}
+                onBlockedChange={setPreviewBlocked}
+              />
               {error && (
                 <div className="mb-4 text-red-500 text-sm">{error}</div>
               )}
               <button
                 onClick={handleRepay}
-                disabled={repaying}
+                disabled={
+                  repaying ||
+                  previewBlocked ||
+                  isPaused(selectedAsset.symbol, "repay")
+                }
                 className="w-full bg-green-500 text-white py-2 rounded-md hover:bg-green-600 transition-colors disabled:opacity-50"
               >
                 {repaying ? "Repaying..." : "Repay"}
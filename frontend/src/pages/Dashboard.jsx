@@ -2,9 +2,10 @@ import { useState, useEffect } from "react";
 import { useWeb3 } from "../contexts/Web3Context";
 import {
   getAllAssets,
-  getUserPositions,
+  getPortfolio,
+  projectBalance,
   getAPYData,
-  getUserHealthFactor,
+  subscribeToUpdates,
 } from "../services/contractService";
 import { ethers } from "ethers";
 import {
@@ -24,9 +25,21 @@ function Dashboard() {
   const [assets, setAssets] = useState([]);
   const [userPositions, setUserPositions] = useState(null);
   const [apyData, setApyData] = useState([]);
-  const [healthFactor, setHealthFactor] = useState("0");
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState("overview");
+  // Waktu lokal (detik) untuk saldo live di antara update dari backend
+  const [now, setNow] = useState(() => Date.now() / 1000);
+
+  // Catat waktu terima supaya saldo bisa diproyeksikan dari index bunga
+  const fetchPortfolio = async (address) => ({
+    ...(await getPortfolio(address)),
+    receivedAt: Date.now() / 1000,
+  });
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now() / 1000), 1000);
+    return () => clearInterval(timer);
+  }, []);
 
   useEffect(() => {
     async function fetchDashboardData() {
@@ -39,18 +52,7 @@ function Dashboard() {
         setApyData(apyInfo);
 
         if (connected && account) {
-          const positions = await getUserPositions(account);
-          setUserPositions(positions);
-
-          // If user has positions, get their health factor
-          if (positions && positions.suppliedAssets?.length > 0) {
-            const factor = await getUserHealthFactor(
-              provider,
-              account,
-              positions.suppliedAssets[0].symbol
-            );
-            setHealthFactor(factor);
-          }
+          setUserPositions(await fetchPortfolio(account));
         }
       } catch (error) {
         console.error("Error fetching dashboard data:", error);
@@ -62,6 +64,24 @@ function Dashboard() {
     fetchDashboardData();
   }, [account, connected, provider]);
 
+  // Update live dari backend setiap ada blok atau event baru
+  useEffect(() => {
+    return subscribeToUpdates(connected ? account : null, {
+      onMarket: (data) => {
+        setAssets(data.assets);
+        setApyData(data.apy);
+      },
+      // Portfolio dihitung ulang di backend saat posisi user berubah
+      onPositions: async () => {
+        try {
+          setUserPositions(await fetchPortfolio(account));
+        } catch (error) {
+          console.error("Error refreshing portfolio:", error);
+        }
+      },
+    });
+  }, [account, connected]);
+
   const formatCurrency = (value) => {
     return new Intl.NumberFormat("en-US", {
       style: "currency",
@@ -71,17 +91,25 @@ function Dashboard() {
     }).format(value);
   };
 
-  const totalSupplied =
-    userPositions?.suppliedAssets?.reduce(
-      (acc, asset) => acc + parseFloat(asset.amountUSD),
-      0
-    ) || 0;
+  const totals = userPositions?.totals;
 
-  const totalBorrowed =
-    userPositions?.borrowedAssets?.reduce(
-      (acc, asset) => acc + parseFloat(asset.amountUSD),
-      0
-    ) || 0;
+  const liveAmount = (asset, roundUp) =>
+    projectBalance(asset, now - userPositions.receivedAt, roundUp);
+  // Bunga posisi: saldo live dikurangi pokok, null jika pokok tidak diketahui
+  const liveInterest = (asset, roundUp) =>
+    asset.principal === null
+      ? null
+      : Math.max(
+          parseFloat(liveAmount(asset, roundUp)) - parseFloat(asset.principal),
+          0
+        );
+  const totalSupplied = parseFloat(totals?.supplyBalance || 0);
+  const totalBorrowed = parseFloat(totals?.borrowBalance || 0);
+  // Tanpa utang health factor tidak terbatas
+  const healthFactor =
+    totals?.healthFactor === null || totals?.healthFactor === undefined
+      ? Infinity
+      : parseFloat(totals.healthFactor);
 
   return (
     <div>
@@ -106,7 +134,10 @@ function Dashboard() {
                   {formatCurrency(totalSupplied)}
                 </p>
                 <p className="text-sm text-gray-500 mt-1">
-                  Total value of supplied assets
+                  Net APY:{" "}
+                  {totals?.netAPY
+                    ? `${(parseFloat(totals.netAPY) * 100).toFixed(2)}%`
+                    : "-"}
                 </p>
               </div>
 
@@ -116,7 +147,9 @@ function Dashboard() {
                   {formatCurrency(totalBorrowed)}
                 </p>
                 <p className="text-sm text-gray-500 mt-1">
-                  Total value of borrowed assets
+                  Borrow limit: {formatCurrency(totals?.borrowLimit || 0)}
+                  {totals?.borrowLimitUsed &&
+                    ` (${totals.borrowLimitUsed}% used)`}
                 </p>
               </div>
 
@@ -124,19 +157,19 @@ function Dashboard() {
                 <h2 className="font-bold text-lg mb-2">Health Factor</h2>
                 <p
                   className={`text-2xl font-bold ${
-                    parseFloat(healthFactor) < 1.2
+                    healthFactor < 1.2
                       ? "text-red-600"
-                      : parseFloat(healthFactor) < 1.5
+                      : healthFactor < 1.5
                       ? "text-yellow-600"
                       : "text-green-600"
                   }`}
                 >
-                  {parseFloat(healthFactor).toFixed(2)}
+                  {healthFactor === Infinity ? "∞" : healthFactor.toFixed(2)}
                 </p>
                 <p className="text-sm text-gray-500 mt-1">
-                  {parseFloat(healthFactor) < 1.2
+                  {healthFactor < 1.2
                     ? "At risk of liquidation"
-                    : parseFloat(healthFactor) < 1.5
+                    : healthFactor < 1.5
                     ? "Caution advised"
                     : "Safe position"}
                 </p>
@@ -300,6 +333,9 @@ function Dashboard() {
                           <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                             APY Earned
                           </th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Accrued Interest
+                          </th>
                           <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                             Collateral
                           </th>
@@ -328,7 +364,7 @@ function Dashboard() {
                             </td>
                             <td className="px-4 py-4 whitespace-nowrap">
                               <div className="text-sm text-gray-900">
-                                {parseFloat(asset.amount).toFixed(4)}{" "}
+                                {parseFloat(liveAmount(asset)).toFixed(6)}{" "}
                                 {asset.symbol}
                               </div>
                             </td>
@@ -342,6 +378,23 @@ function Dashboard() {
                                 {(parseFloat(asset.apy) * 100).toFixed(2)}%
                               </div>
                             </td>
+                            <td className="px-4 py-4 whitespace-nowrap">
+                              {liveInterest(asset) === null ? (
+                                <div className="text-sm text-gray-500">-</div>
+                              ) : (
+                                <>
+                                  <div className="text-sm text-gray-900">
+                                    {liveInterest(asset).toFixed(6)}{" "}
+                                    {asset.symbol}
+                                  </div>
+                                  <div className="text-xs text-gray-500">
+                                    {formatCurrency(
+                                      liveInterest(asset) * asset.price
+                                    )}
+                                  </div>
+                                </>
+                              )}
+                            </td>
                             <td className="px-4 py-4 whitespace-nowrap">
                               <div
                                 className={`text-sm ${
@@ -394,6 +447,9 @@ function Dashboard() {
                           <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                             APY Paid
                           </th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Accrued Interest
+                          </th>
                         </tr>
                       </thead>
                       <tbody className="divide-y divide-gray-200">
@@ -419,7 +475,7 @@ function Dashboard() {
                             </td>
                             <td className="px-4 py-4 whitespace-nowrap">
                               <div className="text-sm text-gray-900">
-                                {parseFloat(asset.amount).toFixed(4)}{" "}
+                                {parseFloat(liveAmount(asset, true)).toFixed(6)}{" "}
                                 {asset.symbol}
                               </div>
                             </td>
@@ -433,6 +489,23 @@ function Dashboard() {
                                 {(parseFloat(asset.apy) * 100).toFixed(2)}%
                               </div>
                             </td>
+                            <td className="px-4 py-4 whitespace-nowrap">
+                              {liveInterest(asset, true) === null ? (
+                                <div className="text-sm text-gray-500">-</div>
+                              ) : (
+                                <>
+                                  <div className="text-sm text-gray-900">
+                                    {liveInterest(asset, true).toFixed(6)}{" "}
+                                    {asset.symbol}
+                                  </div>
+                                  <div className="text-xs text-gray-500">
+                                    {formatCurrency(
+                                      liveInterest(asset, true) * asset.price
+                                    )}
+                                  </div>
+                                </>
+                              )}
+                            </td>
                           </tr>
                         ))}
                       </tbody>
@@ -0,0 +1,429 @@
+import { useState, useEffect } from "react";
+import { useWeb3 } from "../contexts/Web3Context";
+import {
+  getAllAssets,
+  getLiquidations,
+  liquidatePosition,
+  formatTokenAmount,
+  subscribeToUpdates,
+} from "../services/contractService";
+import PauseBanner from "../components/PauseBanner";
+
+const BASIS_POINTS = 10000;
+
+// Perkiraan collateral yang disita untuk repay `amount`, seperti
+// getCollateralToSeize di DeFiLending.sol
+const estimateSeized = (option, amount) =>
+  (parseFloat(amount || 0) *
+    parseFloat(option.debtPrice) *
+    parseInt(option.liquidationBonus)) /
+  (parseFloat(option.collateralPrice) * BASIS_POINTS);
+
+const optionKey = (option) => `${option.debtSymbol}-${option.collateralSymbol}`;
+
+function Liquidations() {
+  const { provider, connected } = useWeb3();
+
+  const [positions, setPositions] = useState([]);
+  const [assets, setAssets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedPosition, setSelectedPosition] = useState(null);
+  const [selectedOption, setSelectedOption] = useState(null);
+  const [amount, setAmount] = useState("");
+  const [liquidating, setLiquidating] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+
+  const fetchLiquidations = async () => {
+    try {
+      const data = await getLiquidations();
+      setPositions(data);
+    } catch (error) {
+      console.error("Error fetching liquidations:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchLiquidations();
+    getAllAssets()
+      .then(setAssets)
+      .catch((error) => console.error("Error fetching assets:", error));
+
+    // Daftar posisi dan status pause ikut diperbarui setiap ada update pasar
+    return subscribeToUpdates(null, {
+      onMarket: (data) => {
+        setAssets(data.assets);
+        fetchLiquidations();
+      },
+    });
+  }, []);
+
+  // liquidate ditolak jika likuidasi asset utang atau collateral di-pause
+  const isLiquidationPaused = (option) =>
+    assets.some(
+      (asset) =>
+        (asset.symbol === option.debtSymbol ||
+          asset.symbol === option.collateralSymbol) &&
+        asset.paused?.liquidate
+    );
+
+  // Pasangan dengan profit terbesar dipilih lebih dulu
+  const handleOpenModal = (position) => {
+    setSelectedPosition(position);
+    setSelectedOption(position.best);
+    setAmount("");
+    setError("");
+    setResult(null);
+  };
+
+  const handleCloseModal = () => {
+    setSelectedPosition(null);
+    setSelectedOption(null);
+    setAmount("");
+    setError("");
+    setResult(null);
+  };
+
+  const handleSelectOption = (key) => {
+    setSelectedOption(
+      selectedPosition.options.find((option) => optionKey(option) === key)
+    );
+    setAmount("");
+    setError("");
+  };
+
+  const handleMaxAmount = () => {
+    setAmount(selectedOption.maxRepayAmount);
+  };
+
+  const validateAmount = () => {
+    if (!amount || isNaN(amount) || parseFloat(amount) <= 0) {
+      setError("Please enter a valid amount");
+      return false;
+    }
+
+    if (parseFloat(amount) > parseFloat(selectedOption.maxRepayAmount)) {
+      setError(
+        `Amount exceeds the maximum repayable debt (${selectedOption.maxRepayAmount} ${selectedOption.debtSymbol})`
+      );
+      return false;
+    }
+
+    return true;
+  };
+
+  const handleLiquidate = async () => {
+    if (!validateAmount()) return;
+
+    try {
+      setError("");
+      setLiquidating(true);
+
+      const { tx, event } = await liquidatePosition(
+        provider,
+        selectedPosition.borrower,
+        selectedOption.debtSymbol,
+        selectedOption.collateralSymbol,
+        amount
+      );
+
+      setResult({
+        txHash: tx.hash,
+        debtSymbol: selectedOption.debtSymbol,
+        collateralSymbol: selectedOption.collateralSymbol,
+        repaid: await formatTokenAmount(
+          provider,
+          selectedOption.debtSymbol,
+          event.args.amount
+        ),
+        seized: await formatTokenAmount(
+          provider,
+          selectedOption.collateralSymbol,
+          event.args.collateralSeized
+        ),
+      });
+
+      await fetchLiquidations();
+    } catch (error) {
+      console.error("Error liquidating position:", error);
+      setError(error.reason || error.message || "Failed to liquidate");
+    } finally {
+      setLiquidating(false);
+    }
+  };
+
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency: "USD",
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(value);
+  };
+
+  const formatAddress = (address) => {
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+  };
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="heading">Liquidations</h1>
+        <p className="text-gray-600 mt-2">
+          Repay the debt of unhealthy positions and receive any of their
+          collateral assets at a bonus
+        </p>
+      </div>
+
+      {!connected && (
+        <div className="card mb-8 bg-gradient-to-r from-primary-100 to-secondary-100 border-l-4 border-primary-600">
+          <h2 className="font-bold text-lg mb-2">Connect Your Wallet</h2>
+          <p className="mb-4">
+            Connect your wallet to liquidate positions below the liquidation
+            threshold.
+          </p>
+        </div>
+      )}
+
+      <PauseBanner assets={assets} actions={["liquidate"]} />
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : positions.length === 0 ? (
+        <div className="card bg-gray-50 text-center py-12">
+          <p className="text-gray-500">
+            There are no liquidatable positions right now.
+          </p>
+        </div>
+      ) : (
+        <div className="card">
+          <h2 className="font-bold text-lg mb-4">Liquidatable Positions</h2>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead>
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Borrower
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Health Factor
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Total Debt
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Best Pair
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Est. Profit
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {positions.map((position) => (
+                  <tr key={position.borrower}>
+                    <td className="px-4 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">
+                        {formatAddress(position.borrower)}
+                      </div>
+                      <div className="text-sm text-gray-500">
+                        {position.options.length} pair
+                        {position.options.length > 1 ? "s" : ""}
+                      </div>
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-red-600">
+                        {parseFloat(position.healthFactor).toFixed(2)}
+                      </div>
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap">
+                      <div className="text-sm text-gray-900">
+                        {formatCurrency(position.borrowedUSD)}
+                      </div>
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap">
+                      <div className="text-sm text-gray-900">
+                        Repay {position.best.debtSymbol}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        Seize {position.best.collateralSymbol}
+                      </div>
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-green-600">
+                        {formatCurrency(position.best.estimatedProfitUSD)}
+                      </div>
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <button
+                        onClick={() => handleOpenModal(position)}
+                        disabled={!connected}
+                        className="text-primary-600 hover:text-primary-900 disabled:opacity-50"
+                      >
+                        Liquidate
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Liquidate Modal */}
+      {selectedPosition && (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+          <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+            <div
+              className="fixed inset-0 transition-opacity"
+              aria-hidden="true"
+            >
+              <div className="absolute inset-0 bg-gray-500 opacity-75"></div>
+            </div>
+            <span
+              className="hidden sm:inline-block sm:align-middle sm:h-screen"
+              aria-hidden="true"
+            >
+              &#8203;
+            </span>
+            <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+              <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+                  Liquidate {formatAddress(selectedPosition.borrower)}
+                </h3>
+                <div className="mb-4">
+                  <label className="block text-sm text-gray-500 mb-1">
+                    Debt / Collateral
+                  </label>
+                  <select
+                    value={optionKey(selectedOption)}
+                    onChange={(e) => handleSelectOption(e.target.value)}
+                    className="w-full border rounded-lg p-2"
+                  >
+                    {selectedPosition.options.map((option) => (
+                      <option key={optionKey(option)} value={optionKey(option)}>
+                        Repay {option.debtSymbol}, seize{" "}
+                        {option.collateralSymbol} (
+                        {formatCurrency(option.estimatedProfitUSD)})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="mt-2 mb-4">
+                  <div className="flex justify-between mb-2">
+                    <span className="text-sm text-gray-500">
+                      Max repay:{" "}
+                      {parseFloat(selectedOption.maxRepayAmount).toFixed(4)}{" "}
+                      {selectedOption.debtSymbol}
+                    </span>
+                    <button
+                      onClick={handleMaxAmount}
+                      className="text-sm text-primary-600"
+                    >
+                      MAX
+                    </button>
+                  </div>
+                  <div className="flex border rounded-lg p-2 focus-within:border-primary-500">
+                    <input
+                      type="text"
+                      value={amount}
+                      onChange={(e) => setAmount(e.target.value)}
+                      className="flex-grow outline-none"
+                      placeholder="0.0"
+                    />
+                    <span className="ml-2 text-gray-500">
+                      {selectedOption.debtSymbol}
+                    </span>
+                  </div>
+                </div>
+
+                {result && (
+                  <div className="mb-4 p-3 bg-green-100 text-green-800 rounded">
+                    Repaid {parseFloat(result.repaid).toFixed(4)}{" "}
+                    {result.debtSymbol} and seized{" "}
+                    {parseFloat(result.seized).toFixed(4)}{" "}
+                    {result.collateralSymbol} collateral.
+                    <a
+                      href={`https://etherscan.io/tx/${result.txHash}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="ml-1 text-primary-600 underline"
+                    >
+                      View on Etherscan
+                    </a>
+                  </div>
+                )}
+
+                {error && (
+                  <div className="mb-4 p-3 bg-red-100 text-red-800 rounded">
+                    {error}
+                  </div>
+                )}
+
+                <div className="bg-gray-50 rounded-lg p-4 mb-4">
+                  <div className="flex justify-between mb-2">
+                    <span className="text-sm text-gray-500">Health Factor</span>
+                    <span className="text-sm text-red-600 font-medium">
+                      {parseFloat(selectedPosition.healthFactor).toFixed(2)}
+                    </span>
+                  </div>
+                  <div className="flex justify-between mb-2">
+                    <span className="text-sm text-gray-500">
+                      Liquidation Bonus
+                    </span>
+                    <span className="text-sm text-gray-900">
+                      {(
+                        (parseInt(selectedOption.liquidationBonus) -
+                          BASIS_POINTS) /
+                        100
+                      ).toFixed(2)}
+                      %
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-sm text-gray-500">
+                      You will receive
+                    </span>
+                    <span className="text-sm text-gray-900">
+                      {estimateSeized(selectedOption, amount).toFixed(4)}{" "}
+                      {selectedOption.collateralSymbol}
+                    </span>
+                  </div>
+                </div>
+              </div>
+              <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse">
+                <button
+                  type="button"
+                  onClick={handleLiquidate}
+                  disabled={
+                    liquidating ||
+                    !connected ||
+                    isLiquidationPaused(selectedOption)
+                  }
+                  className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 sm:ml-3 sm:w-auto sm:text-sm disabled:opacity-50"
+                >
+                  {liquidating ? "Liquidating..." : "Approve & Liquidate"}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleCloseModal}
+                  className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 sm:mt-0 sm:ml-3 sm:w-auto sm:text-sm"
+                >
+                  {result ? "Close" : "Cancel"}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Liquidations;
@@ -0,0 +1,229 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import {
+  getAllAssets,
+  getAPYData,
+  subscribeToUpdates,
+} from "../services/contractService";
+import RateCurve from "../components/RateCurve";
+
+// Gabungkan data asset dengan APY/utilization per symbol
+function mergeMarketData(assets, apyData) {
+  return assets.map((asset) => ({
+    ...asset,
+    ...(apyData.find((apy) => apy.symbol === asset.symbol) || {}),
+  }));
+}
+
+// Parameter risiko dari kontrak dalam basis point (7500 = 75%)
+const formatBasisPoints = (value) => `${(parseFloat(value) / 100).toFixed(0)}%`;
+
+function Market() {
+  const [markets, setMarkets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [curveSymbol, setCurveSymbol] = useState(null);
+
+  useEffect(() => {
+    async function fetchMarketData() {
+      try {
+        const [assetsData, apyData] = await Promise.all([
+          getAllAssets(),
+          getAPYData(),
+        ]);
+        setMarkets(mergeMarketData(assetsData, apyData));
+      } catch (error) {
+        console.error("Error fetching market data:", error);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchMarketData();
+
+    // Update live dari backend setiap ada blok atau event baru
+    return subscribeToUpdates(null, {
+      onMarket: (data) => setMarkets(mergeMarketData(data.assets, data.apy)),
+    });
+  }, []);
+
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency: "USD",
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(value);
+  };
+
+  const curveMarket =
+    markets.find((market) => market.symbol === curveSymbol) || markets[0];
+
+  const totalSuppliedUSD = markets.reduce(
+    (acc, market) => acc + market.totalSupplied * market.price,
+    0
+  );
+  const totalBorrowedUSD = markets.reduce(
+    (acc, market) => acc + market.totalBorrowed * market.price,
+    0
+  );
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="heading">Markets</h1>
+        <p className="text-gray-600 mt-2">
+          Prices, liquidity, interest rates and risk parameters of every asset
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : (
+        <>
+          <div className="grid md:grid-cols-2 gap-6 mb-8">
+            <div className="card">
+              <h2 className="font-bold text-lg mb-2">Total Supplied</h2>
+              <p className="text-2xl font-bold text-primary-600">
+                {formatCurrency(totalSuppliedUSD)}
+              </p>
+            </div>
+            <div className="card">
+              <h2 className="font-bold text-lg mb-2">Total Borrowed</h2>
+              <p className="text-2xl font-bold text-secondary-600">
+                {formatCurrency(totalBorrowedUSD)}
+              </p>
+            </div>
+          </div>
+
+          <div className="card">
+            <h2 className="font-bold text-lg mb-4">All Markets</h2>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead>
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Asset
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Price
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Total Supplied
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Total Borrowed
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Utilization
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Supply APY
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Borrow APY
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Collateral Factor
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Liquidation Threshold
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {markets.map((market) => (
+                    <tr key={market.symbol} className="hover:bg-gray-50">
+                      <td className="px-4 py-4 whitespace-nowrap">
+                        <Link
+                          to={`/market/${market.symbol}`}
+                          className="text-sm font-medium text-primary-600 hover:text-primary-900"
+                        >
+                          {market.symbol}
+                        </Link>
+                        {!market.isActive && (
+                          <div className="text-xs text-gray-500">Inactive</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatCurrency(market.price)}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">
+                          {parseFloat(market.totalSupplied).toFixed(2)}{" "}
+                          {market.symbol}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {formatCurrency(market.totalSupplied * market.price)}
+                        </div>
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">
+                          {parseFloat(market.totalBorrowed).toFixed(2)}{" "}
+                          {market.symbol}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {formatCurrency(market.totalBorrowed * market.price)}
+                        </div>
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {market.utilizationRate}%
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-green-600">
+                        {market.supplyAPY}%
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-secondary-600">
+                        {market.borrowAPY}%
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatBasisPoints(market.collateralFactor)}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatBasisPoints(market.liquidationThreshold)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {curveMarket && (
+            <div className="card mt-8">
+              <div className="flex justify-between items-center mb-4">
+                <div>
+                  <h2 className="font-bold text-lg">Interest Rate Model</h2>
+                  <p className="text-sm text-gray-500">
+                    Rates follow utilization, with a steeper slope above{" "}
+                    {curveMarket.optimalUtilization}% utilization.{" "}
+                    {curveMarket.reserveFactor}% of borrow interest goes to
+                    reserves.
+                  </p>
+                </div>
+                <div className="flex space-x-2">
+                  {markets.map((market) => (
+                    <button
+                      key={market.symbol}
+                      onClick={() => setCurveSymbol(market.symbol)}
+                      className={`px-3 py-1 rounded text-sm ${
+                        market.symbol === curveMarket.symbol
+                          ? "bg-primary-600 text-white"
+                          : "bg-gray-100 text-gray-700"
+                      }`}
+                    >
+                      {market.symbol}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <RateCurve market={curveMarket} />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Market;
@@ -0,0 +1,291 @@
+import { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import {
+  getAllAssets,
+  getAPYData,
+  getPriceHistory,
+  getUtilizationHistory,
+  subscribeToUpdates,
+} from "../services/contractService";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from "recharts";
+
+// Rentang chart dan interval titik yang dikirim ke backend
+const RANGES = {
+  "7d": { range: "7d", interval: "1h" },
+  "30d": { range: "30d", interval: "1d" },
+  "90d": { range: "90d", interval: "1d" },
+};
+
+// Parameter risiko dari kontrak dalam basis point (7500 = 75%)
+const formatBasisPoints = (value) => `${(parseFloat(value) / 100).toFixed(0)}%`;
+
+const formatDate = (timestamp) => {
+  const d = new Date(timestamp * 1000);
+  return `${d.getDate()}/${d.getMonth() + 1}`;
+};
+
+function MarketDetail() {
+  const { symbol } = useParams();
+
+  const [market, setMarket] = useState(null);
+  const [priceHistory, setPriceHistory] = useState([]);
+  const [utilizationHistory, setUtilizationHistory] = useState([]);
+  const [range, setRange] = useState("30d");
+  const [loading, setLoading] = useState(true);
+
+  const selectMarket = (assets, apyData) => {
+    const asset = assets.find((a) => a.symbol === symbol);
+    const apy = apyData.find((a) => a.symbol === symbol);
+    setMarket(asset ? { ...asset, ...apy } : null);
+  };
+
+  useEffect(() => {
+    async function fetchMarket() {
+      try {
+        setLoading(true);
+        const [assetsData, apyData] = await Promise.all([
+          getAllAssets(),
+          getAPYData(),
+        ]);
+        selectMarket(assetsData, apyData);
+      } catch (error) {
+        console.error("Error fetching market:", error);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchMarket();
+
+    // Update live dari backend setiap ada blok atau event baru
+    return subscribeToUpdates(null, {
+      onMarket: (data) => selectMarket(data.assets, data.apy),
+    });
+  }, [symbol]);
+
+  useEffect(() => {
+    async function fetchHistory() {
+      try {
+        const [prices, utilization] = await Promise.all([
+          getPriceHistory(symbol, RANGES[range]),
+          getUtilizationHistory(symbol, RANGES[range]),
+        ]);
+        setPriceHistory(
+          prices.map((point) => ({
+            timestamp: point.timestamp,
+            price: parseFloat(point.price),
+          }))
+        );
+        setUtilizationHistory(
+          utilization.map((point) => ({
+            timestamp: point.timestamp,
+            utilizationRate: parseFloat(point.utilizationRate),
+          }))
+        );
+      } catch (error) {
+        console.error("Error fetching market history:", error);
+      }
+    }
+
+    fetchHistory();
+  }, [symbol, range]);
+
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency: "USD",
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(value);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!market) {
+    return (
+      <div className="card bg-gray-50 text-center py-12">
+        <p className="text-gray-500">Market {symbol} does not exist.</p>
+        <Link to="/market" className="btn btn-primary mt-4 inline-block">
+          Back to Markets
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="mb-8">
+        <Link to="/market" className="text-sm text-primary-600">
+          ← All Markets
+        </Link>
+        <h1 className="heading mt-2">{market.symbol} Market</h1>
+        <p className="text-gray-600 mt-2">
+          {formatCurrency(market.price)}
+          {!market.isActive && " · Inactive"}
+        </p>
+      </div>
+
+      <div className="grid md:grid-cols-4 gap-6 mb-8">
+        <div className="card">
+          <h2 className="font-bold text-lg mb-2">Total Supplied</h2>
+          <p className="text-2xl font-bold text-primary-600">
+            {formatCurrency(market.totalSupplied * market.price)}
+          </p>
+          <p className="text-sm text-gray-500 mt-1">
+            {parseFloat(market.totalSupplied).toFixed(2)} {market.symbol}
+          </p>
+        </div>
+        <div className="card">
+          <h2 className="font-bold text-lg mb-2">Total Borrowed</h2>
+          <p className="text-2xl font-bold text-secondary-600">
+            {formatCurrency(market.totalBorrowed * market.price)}
+          </p>
+          <p className="text-sm text-gray-500 mt-1">
+            {parseFloat(market.totalBorrowed).toFixed(2)} {market.symbol}
+          </p>
+        </div>
+        <div className="card">
+          <h2 className="font-bold text-lg mb-2">Utilization</h2>
+          <p className="text-2xl font-bold text-gray-900">
+            {market.utilizationRate}%
+          </p>
+        </div>
+        <div className="card">
+          <h2 className="font-bold text-lg mb-2">APY</h2>
+          <p className="text-sm text-gray-500">
+            Supply{" "}
+            <span className="font-medium text-green-600">
+              {market.supplyAPY}%
+            </span>
+          </p>
+          <p className="text-sm text-gray-500">
+            Borrow{" "}
+            <span className="font-medium text-secondary-600">
+              {market.borrowAPY}%
+            </span>
+          </p>
+        </div>
+      </div>
+
+      <div className="flex space-x-2 mb-4">
+        {Object.keys(RANGES).map((key) => (
+          <button
+            key={key}
+            onClick={() => setRange(key)}
+            className={`px-3 py-1 rounded-md text-sm ${
+              range === key
+                ? "bg-primary-600 text-white"
+                : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            }`}
+          >
+            {key}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6 mb-8">
+        <div className="card">
+          <h2 className="font-bold text-lg mb-4">Price</h2>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={priceHistory}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="timestamp" tickFormatter={formatDate} />
+                <YAxis
+                  domain={["auto", "auto"]}
+                  tickFormatter={(value) => `$${value}`}
+                />
+                <Tooltip
+                  formatter={(value) => [formatCurrency(value), "Price"]}
+                  labelFormatter={(label) =>
+                    new Date(label * 1000).toLocaleString()
+                  }
+                />
+                <Line
+                  type="monotone"
+                  dataKey="price"
+                  stroke="#7c3aed"
+                  dot={false}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        <div className="card">
+          <h2 className="font-bold text-lg mb-4">Utilization</h2>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={utilizationHistory}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="timestamp" tickFormatter={formatDate} />
+                <YAxis
+                  domain={[0, 100]}
+                  tickFormatter={(value) => `${value}%`}
+                />
+                <Tooltip
+                  formatter={(value) => [`${value.toFixed(2)}%`, "Utilization"]}
+                  labelFormatter={(label) =>
+                    new Date(label * 1000).toLocaleString()
+                  }
+                />
+                <Line
+                  type="stepAfter"
+                  dataKey="utilizationRate"
+                  stroke="#16a34a"
+                  dot={false}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <h2 className="font-bold text-lg mb-4">Risk Parameters</h2>
+        <div className="grid md:grid-cols-4 gap-6">
+          <div>
+            <p className="text-sm text-gray-500">Collateral Factor</p>
+            <p className="text-xl font-bold text-gray-900">
+              {formatBasisPoints(market.collateralFactor)}
+            </p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500">Borrow Factor</p>
+            <p className="text-xl font-bold text-gray-900">
+              {formatBasisPoints(market.borrowFactor)}
+            </p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500">Liquidation Threshold</p>
+            <p className="text-xl font-bold text-gray-900">
+              {formatBasisPoints(market.liquidationThreshold)}
+            </p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500">Liquidation Bonus</p>
+            <p className="text-xl font-bold text-gray-900">
+              {formatBasisPoints(market.liquidationBonus - 10000)}
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MarketDetail;
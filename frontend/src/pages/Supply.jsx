@@ -2,20 +2,48 @@ import { useState, useEffect } from "react";
 import { useWeb3 } from "../contexts/Web3Context";
 import {
   getAllAssets,
-  getUserWalletBalances,
+  getUserBalances,
+  getUserPositions,
+  setCollateralEnabled,
+  addReceiptTokenToWallet,
+  remainingCap,
   supplyAsset,
   withdrawAsset,
   approveToken,
-  getTokenAllowance,
+  subscribeToUpdates,
 } from "../services/contractService";
-import { ethers } from "ethers";
+import HealthFactorPreview from "../components/HealthFactorPreview";
+import PauseBanner from "../components/PauseBanner";
+
+// Data market dari API: price dalam USD, rate dan collateral factor dalam
+// basis point
+const toSupplyMarket = (asset) => ({
+  ...asset,
+  priceUSD: parseFloat(asset.price),
+  supplyAPY: parseInt(asset.supplyInterestRate, 10) / 10000,
+  collateralPercent: parseInt(asset.collateralFactor, 10) / 100,
+});
+
+// Gabungkan saldo supply dan status collateral user ke data asset
+function withUserPositions(assets, positions) {
+  return assets.map((asset) => {
+    const position = positions.find((p) => p.symbol === asset.symbol);
+    return {
+      ...toSupplyMarket(asset),
+      userSupplied: position ? position.supplied : "0",
+      collateralEnabled: position ? position.collateralEnabled : true,
+    };
+  });
+}
 
 function Supply() {
   const { account, provider, connected } = useWeb3();
 
   const [assets, setAssets] = useState([]);
   const [walletBalances, setWalletBalances] = useState({});
-  const [userSuppliedAssets, setUserSuppliedAssets] = useState([]);
+  const [allowances, setAllowances] = useState({});
+  const [receiptBalances, setReceiptBalances] = useState({});
+  const [positions, setPositions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeModal, setActiveModal] = useState(null);
   const [selectedAsset, setSelectedAsset] = useState(null);
@@ -25,6 +53,64 @@ function Supply() {
   const [withdrawing, setWithdrawing] = useState(false);
   const [txHash, setTxHash] = useState("");
   const [error, setError] = useState("");
+  const [previewBlocked, setPreviewBlocked] = useState(false);
+  const [togglingSymbol, setTogglingSymbol] = useState(null);
+  const [collateralError, setCollateralError] = useState("");
+
+  const marketAssets = withUserPositions(assets, positions);
+  const userSuppliedAssets = marketAssets.filter(
+    (asset) => parseFloat(asset.userSupplied) > 0
+  );
+
+  // Aksi yang di-pause guardian, dari data market terbaru
+  const isPaused = (symbol, action) =>
+    Boolean(assets.find((asset) => asset.symbol === symbol)?.paused?.[action]);
+
+  const fetchPositions = async () => {
+    setPositions(await getUserPositions(account));
+  };
+
+  // Saldo wallet, allowance dan saldo dToken per symbol dari backend
+  const fetchWalletBalances = async () => {
+    const balances = await getUserBalances(account);
+    setWalletBalances(
+      Object.fromEntries(balances.map((b) => [b.symbol, b.balance]))
+    );
+    setAllowances(
+      Object.fromEntries(balances.map((b) => [b.symbol, b.allowance]))
+    );
+    setReceiptBalances(
+      Object.fromEntries(balances.map((b) => [b.symbol, b.receiptBalance]))
+    );
+  };
+
+  // Kontrak menolak menonaktifkan collateral jika akun menjadi tidak sehat
+  const handleToggleCollateral = async (asset) => {
+    try {
+      setCollateralError("");
+      setTogglingSymbol(asset.symbol);
+      await setCollateralEnabled(
+        provider,
+        asset.symbol,
+        !asset.collateralEnabled
+      );
+      await fetchPositions();
+    } catch (error) {
+      setCollateralError(
+        error.reason || error.message || "Failed to update collateral"
+      );
+    } finally {
+      setTogglingSymbol(null);
+    }
+  };
+
+  const handleAddToWallet = async (asset) => {
+    try {
+      await addReceiptTokenToWallet(provider, asset.receiptToken);
+    } catch {
+      // Ditolak di wallet atau wallet tidak mendukung EIP-747, sudah dicatat SDK
+    }
+  };
 
   useEffect(() => {
     async function fetchSupplyData() {
@@ -34,16 +120,7 @@ function Supply() {
         setAssets(assetsData);
 
         if (connected && account) {
-          const balances = await getUserWalletBalances(account);
-          setWalletBalances(balances);
-
-          // Filter only assets that the user has supplied
-          const suppliedAssets = assetsData.filter((asset) => {
-            const balance = parseFloat(asset.userSupplied || 0);
-            return balance > 0;
-          });
-
-          setUserSuppliedAssets(suppliedAssets);
+          await Promise.all([fetchWalletBalances(), fetchPositions()]);
         }
       } catch (error) {
         console.error("Error fetching supply data:", error);
@@ -55,6 +132,14 @@ function Supply() {
     fetchSupplyData();
   }, [account, connected, provider]);
 
+  // Update live dari backend setiap ada blok atau event baru
+  useEffect(() => {
+    return subscribeToUpdates(connected ? account : null, {
+      onMarket: (data) => setAssets(data.assets),
+      onPositions: (data) => setPositions(data.positions),
+    });
+  }, [account, connected]);
+
   const handleOpenSupplyModal = (asset) => {
     setSelectedAsset(asset);
     setAmount("");
@@ -77,9 +162,16 @@ function Supply() {
     setTxHash("");
   };
 
+  // Supply maksimal: saldo wallet, dibatasi sisa supply cap
   const handleMaxAmount = () => {
     if (activeModal === "supply" && selectedAsset) {
-      setAmount(walletBalances[selectedAsset.symbol]?.toString() || "0");
+      const balance = walletBalances[selectedAsset.symbol]?.toString() || "0";
+      const capacity = remainingCap(selectedAsset, "supply");
+      setAmount(
+        capacity !== null && parseFloat(capacity) < parseFloat(balance)
+          ? capacity
+          : balance
+      );
     } else if (activeModal === "withdraw" && selectedAsset) {
       setAmount(selectedAsset.userSupplied?.toString() || "0");
     }
@@ -99,6 +191,13 @@ function Supply() {
         );
         return false;
       }
+      const capacity = remainingCap(selectedAsset, "supply");
+      if (capacity !== null && parseFloat(amount) > parseFloat(capacity)) {
+        setError(
+          `Amount exceeds the remaining supply cap (${capacity} ${selectedAsset.symbol})`
+        );
+        return false;
+      }
     } else if (activeModal === "withdraw") {
       const maxAmount = selectedAsset.userSupplied || 0;
       if (parseFloat(amount) > parseFloat(maxAmount)) {
@@ -119,39 +218,18 @@ function Supply() {
       setError("");
 
       // Check if token is approved for the amount
-      const allowance = await getTokenAllowance(
-        provider,
-        account,
-        selectedAsset.address
-      );
-
-      const amountInWei = ethers.utils.parseUnits(
-        amount,
-        selectedAsset.decimals
-      );
+      const allowance = allowances[selectedAsset.symbol] || 0;
 
       // If allowance is less than the amount, we need to approve first
-      if (allowance.lt(amountInWei)) {
+      if (parseFloat(allowance) < parseFloat(amount)) {
         setApproving(true);
-
-        const approveTx = await approveToken(
-          provider,
-          selectedAsset.address,
-          amountInWei
-        );
-
-        await approveTx.wait();
+        await approveToken(provider, selectedAsset.symbol, amount);
         setApproving(false);
       }
 
       // Now supply the asset
       setSupplying(true);
-      const tx = await supplyAsset(
-        provider,
-        selectedAsset.address,
-        amount,
-        selectedAsset.decimals
-      );
+      const tx = await supplyAsset(provider, selectedAsset.symbol, amount);
 
       setTxHash(tx.hash);
       await tx.wait();
@@ -161,15 +239,7 @@ function Supply() {
       setAssets(assetsData);
 
       if (connected && account) {
-        const balances = await getUserWalletBalances(account);
-        setWalletBalances(balances);
-
-        const suppliedAssets = assetsData.filter((asset) => {
-          const balance = parseFloat(asset.userSupplied || 0);
-          return balance > 0;
-        });
-
-        setUserSuppliedAssets(suppliedAssets);
+        await Promise.all([fetchWalletBalances(), fetchPositions()]);
       }
 
       setSupplying(false);
@@ -188,12 +258,7 @@ function Supply() {
       setError("");
       setWithdrawing(true);
 
-      const tx = await withdrawAsset(
-        provider,
-        selectedAsset.address,
-        amount,
-        selectedAsset.decimals
-      );
+      const tx = await withdrawAsset(provider, selectedAsset.symbol, amount);
 
       setTxHash(tx.hash);
       await tx.wait();
@@ -203,15 +268,7 @@ function Supply() {
       setAssets(assetsData);
 
       if (connected && account) {
-        const balances = await getUserWalletBalances(account);
-        setWalletBalances(balances);
-
-        const suppliedAssets = assetsData.filter((asset) => {
-          const balance = parseFloat(asset.userSupplied || 0);
-          return balance > 0;
-        });
-
-        setUserSuppliedAssets(suppliedAssets);
+        await Promise.all([fetchWalletBalances(), fetchPositions()]);
       }
 
       setWithdrawing(false);
@@ -256,11 +313,18 @@ function Supply() {
             </div>
           ) : (
             <>
+              <PauseBanner assets={assets} actions={["supply", "withdraw"]} />
+
               {userSuppliedAssets.length > 0 && (
                 <div className="mb-8">
                   <h2 className="font-bold text-lg mb-4">
                     Your Supplied Assets
                   </h2>
+                  {collateralError && (
+                    <div className="mb-4 text-sm text-red-600">
+                      {collateralError}
+                    </div>
+                  )}
                   <div className="grid md:grid-cols-1 gap-6">
                     <div className="card">
                       <div className="overflow-x-auto">
@@ -279,6 +343,12 @@ function Supply() {
                               <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                 APY
                               </th>
+                              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                Receipt Token
+                              </th>
+                              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                Collateral
+                              </th>
                               <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"></th>
                             </tr>
                           </thead>
@@ -330,12 +400,53 @@ function Supply() {
                                     {(asset.supplyAPY * 100).toFixed(2)}%
                                   </div>
                                 </td>
+                                <td className="px-4 py-4 whitespace-nowrap">
+                                  <div className="text-sm text-gray-900">
+                                    {parseFloat(
+                                      receiptBalances[asset.symbol] || 0
+                                    ).toFixed(4)}{" "}
+                                    {asset.receiptToken.symbol}
+                                  </div>
+                                  <button
+                                    onClick={() => handleAddToWallet(asset)}
+                                    className="text-xs text-primary-600 hover:text-primary-900"
+                                  >
+                                    Add to wallet
+                                  </button>
+                                </td>
+                                <td className="px-4 py-4 whitespace-nowrap">
+                                  <button
+                                    role="switch"
+                                    aria-checked={asset.collateralEnabled}
+                                    onClick={() =>
+                                      handleToggleCollateral(asset)
+                                    }
+                                    disabled={togglingSymbol !== null}
+                                    className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors disabled:opacity-50 ${
+                                      asset.collateralEnabled
+                                        ? "bg-primary-600"
+                                        : "bg-gray-300"
+                                    }`}
+                                  >
+                                    <span
+                                      className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                                        asset.collateralEnabled
+                                          ? "translate-x-6"
+                                          : "translate-x-1"
+                                      }`}
+                                    />
+                                  </button>
+                                </td>
                                 <td className="px-4 py-4 whitespace-nowrap text-right text-sm font-medium">
                                   <button
                                     onClick={() =>
                                       handleOpenWithdrawModal(asset)
                                     }
-                                    className="text-primary-600 hover:text-primary-900 mr-2"
+                                    className="text-primary-600 hover:text-primary-900 mr-2 disabled:opacity-50"
+                                    disabled={isPaused(
+                                      asset.symbol,
+                                      "withdraw"
+                                    )}
                                   >
                                     Withdraw
                                   </button>
@@ -374,7 +485,7 @@ function Supply() {
                           </tr>
                         </thead>
                         <tbody className="bg-white divide-y divide-gray-200">
-                          {assets.map((asset) => (
+                          {marketAssets.map((asset) => (
                             <tr key={asset.symbol}>
                               <td className="px-4 py-4 whitespace-nowrap">
                                 <div className="flex items-center">
@@ -432,12 +543,22 @@ function Supply() {
                                     asset.totalSupplied * asset.priceUSD
                                   )}
                                 </div>
+                                {remainingCap(asset, "supply") !== null && (
+                                  <div className="text-xs text-gray-500">
+                                    Cap remaining:{" "}
+                                    {parseFloat(
+                                      remainingCap(asset, "supply")
+                                    ).toFixed(2)}{" "}
+                                    {asset.symbol}
+                                  </div>
+                                )}
                               </td>
                               <td className="px-4 py-4 whitespace-nowrap text-right text-sm font-medium">
                                 <button
                                   onClick={() => handleOpenSupplyModal(asset)}
-                                  className="text-primary-600 hover:text-primary-900 mr-2"
+                                  className="text-primary-600 hover:text-primary-900 mr-2 disabled:opacity-50"
                                   disabled={
+                                    isPaused(asset.symbol, "supply") ||
                                     !walletBalances[asset.symbol] ||
                                     parseFloat(walletBalances[asset.symbol]) <=
                                       0
@@ -450,7 +571,11 @@ function Supply() {
                                     onClick={() =>
                                       handleOpenWithdrawModal(asset)
                                     }
-                                    className="text-secondary-600 hover:text-secondary-900"
+                                    className="text-secondary-600 hover:text-secondary-900 disabled:opacity-50"
+                                    disabled={isPaused(
+                                      asset.symbol,
+                                      "withdraw"
+                                    )}
                                   >
                                     Withdraw
                                   </button>
@@ -520,6 +645,15 @@ function Supply() {
                           {selectedAsset.symbol}
                         </span>
                       </div>
+                      {remainingCap(selectedAsset, "supply") !== null && (
+                        <p className="text-xs text-gray-500 mt-2">
+                          Supply cap remaining:{" "}
+                          {parseFloat(
+                            remainingCap(selectedAsset, "supply")
+                          ).toFixed(4)}{" "}
+                          {selectedAsset.symbol}
+                        </p>
+                      )}
                     </div>
 
                     {txHash && (
@@ -556,10 +690,18 @@ function Supply() {
                           Collateral
                         </span>
                         <span className="text-sm text-gray-900">
-                          {selectedAsset.collateralFactor * 100}%
+                          {selectedAsset.collateralPercent}%
                         </span>
                       </div>
                     </div>
+
+                    <HealthFactorPreview
+                      account={account}
+                      type="supply"
+                      symbol={selectedAsset.symbol}
+                      amount={amount}
+                      onBlockedChange={setPreviewBlocked}
+                    />
                   </div>
                 </div>
               </div>
@@ -567,7 +709,12 @@ function Supply() {
                 <button
                   type="button"
                   onClick={handleSupplyAsset}
-                  disabled={approving || supplying}
+                  disabled={
+                    approving ||
+                    supplying ||
+                    previewBlocked ||
+                    isPaused(selectedAsset.symbol, "supply")
+                  }
                   className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 sm:ml-3 sm:w-auto sm:text-sm"
                 >
                   {approving
@@ -680,6 +827,14 @@ function Supply() {
                         </span>
                       </div>
                     </div>
+
+                    <HealthFactorPreview
+                      account={account}
+                      type="withdraw"
+                      symbol={selectedAsset.symbol}
+                      amount={amount}
+                      onBlockedChange={setPreviewBlocked}
+                    />
                   </div>
                 </div>
               </div>
@@ -687,7 +842,11 @@ function Supply() {
                 <button
                   type="button"
                   onClick={handleWithdrawAsset}
-                  disabled={withdrawing}
+                  disabled={
+                    withdrawing ||
+                    previewBlocked ||
+                    isPaused(selectedAsset.symbol, "withdraw")
+                  }
                   className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-secondary-600 text-base font-medium text-white hover:bg-secondary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-secondary-500 sm:ml-3 sm:w-auto sm:text-sm"
                 >
                   {withdrawing ? "Withdrawing..." : "Withdraw"}
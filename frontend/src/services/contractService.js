@@ -1,11 +1,30 @@
 import { ethers } from "ethers";
 import axios from "axios";
+import ABI from "../../../backend/contractABI.json";
+import { API_URL, CONTRACT_ADDRESS, CHAIN_ID } from "../config";
 
-const API_URL = "/api";
-const CONTRACT_ADDRESS = "0xYourDeployedContractAddress"; // Should be replaced with your actual contract address
-const ABI = []; // Import your ABI here or fetch it dynamically
+const ERC20_ABI = [
+  "function decimals() external view returns (uint8)",
+  "function balanceOf(address owner) external view returns (uint256)",
+  "function allowance(address owner, address spender) external view returns (uint256)",
+  "function approve(address spender, uint256 amount) external returns (bool)",
+];
+
+// getUserHealthFactor dikali 10000 untuk presisi
+const HEALTH_FACTOR_DECIMALS = 4;
+
+// Transaksi hanya dikirim ke chain yang dikonfigurasi
+async function assertChain(provider) {
+  const { chainId } = await provider.getNetwork();
+  if (chainId !== CHAIN_ID) {
+    throw new Error(
+      `Wrong network: connected to chain ${chainId}, expected ${CHAIN_ID}`
+    );
+  }
+}
 
 export async function getContractWithSigner(provider) {
+  await assertChain(provider);
   const signer = provider.getSigner();
   const contract = new ethers.Contract(CONTRACT_ADDRESS, ABI, signer);
   return contract;
@@ -16,11 +35,46 @@ export async function getReadOnlyContract(provider) {
   return contract;
 }
 
+// Alamat dan decimals token per symbol, di-cache karena tidak berubah
+const tokenCache = new Map();
+
+export async function getTokenInfo(provider, symbol) {
+  if (!tokenCache.has(symbol)) {
+    const loading = (async () => {
+      const contract = await getReadOnlyContract(provider);
+      const { tokenAddress } = await contract.getAssetDetails(symbol);
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+      const decimals = await token.decimals();
+      return { symbol, address: tokenAddress, decimals };
+    })();
+    // Request yang gagal tidak di-cache
+    loading.catch(() => tokenCache.delete(symbol));
+    tokenCache.set(symbol, loading);
+  }
+  return tokenCache.get(symbol);
+}
+
+async function getTokenContract(provider, symbol, signerOrProvider) {
+  const { address } = await getTokenInfo(provider, symbol);
+  return new ethers.Contract(address, ERC20_ABI, signerOrProvider || provider);
+}
+
+// Amount dari input user (string desimal) ke unit terkecil token
+export async function parseTokenAmount(provider, symbol, amount) {
+  const { decimals } = await getTokenInfo(provider, symbol);
+  return ethers.utils.parseUnits(amount.toString(), decimals);
+}
+
+export async function formatTokenAmount(provider, symbol, amount) {
+  const { decimals } = await getTokenInfo(provider, symbol);
+  return ethers.utils.formatUnits(amount, decimals);
+}
+
 // API calls to the backend
 export async function getAllAssets() {
   try {
     const response = await axios.get(`${API_URL}/assets`);
-    return response.data;
+    return response.data.assets;
   } catch (error) {
     console.error("Error fetching assets:", error);
     throw error;
@@ -30,16 +84,67 @@ export async function getAllAssets() {
 export async function getUserPositions(address) {
   try {
     const response = await axios.get(`${API_URL}/user/${address}`);
-    return response.data;
+    return response.data.positions;
   } catch (error) {
     console.error("Error fetching user positions:", error);
     throw error;
   }
 }
 
-export async function getPriceHistory(symbol) {
+// Posisi user dalam USD beserta total, net APY dan health factor akun
+export async function getPortfolio(address) {
+  try {
+    const response = await axios.get(`${API_URL}/portfolio/${address}`);
+    return response.data;
+  } catch (error) {
+    console.error("Error fetching portfolio:", error);
+    throw error;
+  }
+}
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+const INDEX_PRECISION = ethers.constants.WeiPerEther;
+
+// Saldo live sebuah asset portfolio `elapsed` detik setelah data dibaca:
+// index tumbuh dengan rate saat ini seperti _getCurrentIndexes di kontrak,
+// utang dibulatkan ke atas seperti yang diselesaikan repay
+export function projectBalance(asset, elapsed, roundUp = false) {
+  const scaled = ethers.BigNumber.from(asset.scaledAmountRaw);
+  const index = ethers.BigNumber.from(asset.index);
+  const seconds = Math.max(Math.floor(elapsed), 0);
+  const nextIndex = index.add(
+    index
+      .mul(asset.interestRate)
+      .mul(seconds)
+      .div(10000 * SECONDS_PER_YEAR)
+  );
+
+  let amount = scaled.mul(nextIndex).div(INDEX_PRECISION);
+  if (roundUp && amount.mul(INDEX_PRECISION).div(nextIndex).lt(scaled)) {
+    amount = amount.add(1);
+  }
+  return ethers.utils.formatUnits(amount, asset.decimals);
+}
+
+// Sisa kapasitas "supply" atau "borrow" sebelum cap asset tercapai (dalam
+// token), null jika asset tanpa cap
+export function remainingCap(asset, type) {
+  const cap = ethers.BigNumber.from(asset[`${type}CapRaw`]);
+  if (cap.isZero()) return null;
+
+  const total = ethers.BigNumber.from(
+    type === "supply" ? asset.totalSuppliedRaw : asset.totalBorrowedRaw
+  );
+  const remaining = cap.gt(total) ? cap.sub(total) : ethers.constants.Zero;
+  return ethers.utils.formatUnits(remaining, asset.decimals);
+}
+
+// params opsional: { range: "30d", interval: "1d" }
+export async function getPriceHistory(symbol, params = {}) {
   try {
-    const response = await axios.get(`${API_URL}/price-history/${symbol}`);
+    const response = await axios.get(`${API_URL}/price-history/${symbol}`, {
+      params,
+    });
     return response.data;
   } catch (error) {
     console.error("Error fetching price history:", error);
@@ -47,6 +152,79 @@ export async function getPriceHistory(symbol) {
   }
 }
 
+export async function getUtilizationHistory(symbol, params = {}) {
+  try {
+    const response = await axios.get(
+      `${API_URL}/utilization-history/${symbol}`,
+      { params }
+    );
+    return response.data;
+  } catch (error) {
+    console.error("Error fetching utilization history:", error);
+    throw error;
+  }
+}
+
+// Saldo wallet dan allowance ke kontrak lending untuk semua asset
+export async function getUserBalances(address) {
+  try {
+    const response = await axios.get(`${API_URL}/user/${address}/balances`);
+    return response.data.balances;
+  } catch (error) {
+    console.error("Error fetching wallet balances:", error);
+    throw error;
+  }
+}
+
+// Saldo wallet per asset, { [symbol]: amount }
+export async function getUserWalletBalances(address) {
+  const balances = await getUserBalances(address);
+  return Object.fromEntries(
+    balances.map(({ symbol, balance }) => [symbol, balance])
+  );
+}
+
+// Tambahkan token bukti supply (mis. dDAI) ke wallet lewat EIP-747
+export async function addReceiptTokenToWallet(provider, receiptToken) {
+  try {
+    return await provider.send("wallet_watchAsset", {
+      type: "ERC20",
+      options: {
+        address: receiptToken.address,
+        symbol: receiptToken.symbol,
+        decimals: receiptToken.decimals,
+      },
+    });
+  } catch (error) {
+    console.error("Error adding receipt token to wallet:", error);
+    throw error;
+  }
+}
+
+export async function getLiquidations() {
+  try {
+    const response = await axios.get(`${API_URL}/liquidations`);
+    return response.data.liquidatable;
+  } catch (error) {
+    console.error("Error fetching liquidations:", error);
+    throw error;
+  }
+}
+
+// Simulasi aksi hipotetis di backend, return posisi sebelum dan sesudah
+export async function simulateActions(address, actions) {
+  try {
+    const response = await axios.post(`${API_URL}/simulate`, {
+      address,
+      actions,
+    });
+    return response.data;
+  } catch (error) {
+    console.error("Error simulating actions:", error);
+    throw error;
+  }
+}
+
 export async function getAPYData() {
   try {
     const response = await axios.get(`${API_URL}/apy`);
@@ -57,35 +235,94 @@ export async function getAPYData() {
   }
 }
 
+// Live updates dari backend (Server-Sent Events), return fungsi unsubscribe
+export function subscribeToUpdates(address, { onMarket, onPositions }) {
+  const query = address ? `?address=${address}` : "";
+  const source = new EventSource(`${API_URL}/stream${query}`);
+
+  source.addEventListener("market", (event) => {
+    if (onMarket) onMarket(JSON.parse(event.data));
+  });
+  source.addEventListener("positions", (event) => {
+    if (onPositions) onPositions(JSON.parse(event.data));
+  });
+  source.onerror = (error) => {
+    console.error("Live update stream error:", error);
+  };
+
+  return () => source.close();
+}
+
+// Token reads
+// Allowance untuk kontrak lending dalam unit token
+export async function getTokenAllowance(provider, owner, symbol) {
+  try {
+    const token = await getTokenContract(provider, symbol);
+    const allowance = await token.allowance(owner, CONTRACT_ADDRESS);
+    return formatTokenAmount(provider, symbol, allowance);
+  } catch (error) {
+    console.error("Error fetching token allowance:", error);
+    throw error;
+  }
+}
+
 // Contract interactions
-export async function supplyAsset(provider, symbol, amount) {
+async function sendApproval(provider, symbol, parsedAmount) {
+  await assertChain(provider);
+  const token = await getTokenContract(provider, symbol, provider.getSigner());
+  const tx = await token.approve(CONTRACT_ADDRESS, parsedAmount);
+  await tx.wait();
+  return tx;
+}
+
+// Approve kontrak lending sebesar amount; unlimited hanya jika diminta user
+export async function approveToken(
+  provider,
+  symbol,
+  amount,
+  { unlimited = false } = {}
+) {
   try {
-    const contract = await getContractWithSigner(provider);
-    const parsedAmount = ethers.utils.parseEther(amount.toString());
+    const parsedAmount = unlimited
+      ? ethers.constants.MaxUint256
+      : await parseTokenAmount(provider, symbol, amount);
+    return await sendApproval(provider, symbol, parsedAmount);
+  } catch (error) {
+    console.error("Error approving token:", error);
+    throw error;
+  }
+}
 
-    // First, need to approve the contract to spend tokens
-    const asset = await getAssetDetails(provider, symbol);
-    const erc20 = new ethers.Contract(
-      asset.tokenAddress,
-      [
-        "function approve(address spender, uint256 amount) external returns (bool)",
-        "function allowance(address owner, address spender) external view returns (uint256)",
-      ],
-      provider.getSigner()
-    );
+async function approveIfNeeded(provider, symbol, parsedAmount, unlimited) {
+  const token = await getTokenContract(provider, symbol);
 
-    // Check if we need to approve
-    const allowance = await erc20.allowance(
-      await provider.getSigner().getAddress(),
-      CONTRACT_ADDRESS
+  // Check if we need to approve
+  const allowance = await token.allowance(
+    await provider.getSigner().getAddress(),
+    CONTRACT_ADDRESS
+  );
+  if (allowance.lt(parsedAmount)) {
+    // Default approve sebesar amount transaksi ini saja
+    await sendApproval(
+      provider,
+      symbol,
+      unlimited ? ethers.constants.MaxUint256 : parsedAmount
     );
-    if (allowance.lt(parsedAmount)) {
-      const approveTx = await erc20.approve(
-        CONTRACT_ADDRESS,
-        ethers.constants.MaxUint256
-      );
-      await approveTx.wait();
-    }
+  }
+}
+
+export async function supplyAsset(
+  provider,
+  symbol,
+  amount,
+  { unlimitedApproval = false } = {}
+) {
+  try {
+    const contract = await getContractWithSigner(provider);
+    const parsedAmount = await parseTokenAmount(provider, symbol, amount);
+
+    // First, need to approve the contract to spend tokens
+    await approveIfNeeded(provider, symbol, parsedAmount, unlimitedApproval);
 
     // Supply the asset
     const tx = await contract.supply(symbol, parsedAmount);
@@ -97,10 +334,23 @@ export async function supplyAsset(provider, symbol, amount) {
   }
 }
 
+// Pakai atau berhenti memakai supply asset sebagai collateral
+export async function setCollateralEnabled(provider, symbol, enabled) {
+  try {
+    const contract = await getContractWithSigner(provider);
+    const tx = await contract.setCollateralEnabled(symbol, enabled);
+    await tx.wait();
+    return tx;
+  } catch (error) {
+    console.error("Error updating collateral:", error);
+    throw error;
+  }
+}
+
 export async function withdrawAsset(provider, symbol, amount) {
   try {
     const contract = await getContractWithSigner(provider);
-    const parsedAmount = ethers.utils.parseEther(amount.toString());
+    const parsedAmount = await parseTokenAmount(provider, symbol, amount);
     const tx = await contract.withdraw(symbol, parsedAmount);
     await tx.wait();
     return tx;
@@ -113,7 +363,7 @@ export async function withdrawAsset(provider, symbol, amount) {
 export async function borrowAsset(provider, symbol, amount) {
   try {
     const contract = await getContractWithSigner(provider);
-    const parsedAmount = ethers.utils.parseEther(amount.toString());
+    const parsedAmount = await parseTokenAmount(provider, symbol, amount);
     const tx = await contract.borrow(symbol, parsedAmount);
     await tx.wait();
     return tx;
@@ -123,34 +373,18 @@ export async function borrowAsset(provider, symbol, amount) {
   }
 }
 
-export async function repayAsset(provider, symbol, amount) {
+export async function repayAsset(
+  provider,
+  symbol,
+  amount,
+  { unlimitedApproval = false } = {}
+) {
   try {
     const contract = await getContractWithSigner(provider);
-    const parsedAmount = ethers.utils.parseEther(amount.toString());
+    const parsedAmount = await parseTokenAmount(provider, symbol, amount);
 
     // Need to approve the contract to spend tokens first
-    const asset = await getAssetDetails(provider, symbol);
-    const erc20 = new ethers.Contract(
-      asset.tokenAddress,
-      [
-        "function approve(address spender, uint256 amount) external returns (bool)",
-        "function allowance(address owner, address spender) external view returns (uint256)",
-      ],
-      provider.getSigner()
-    );
-
-    // Check if we need to approve
-    const allowance = await erc20.allowance(
-      await provider.getSigner().getAddress(),
-      CONTRACT_ADDRESS
-    );
-    if (allowance.lt(parsedAmount)) {
-      const approveTx = await erc20.approve(
-        CONTRACT_ADDRESS,
-        ethers.constants.MaxUint256
-      );
-      await approveTx.wait();
-    }
+    await approveIfNeeded(provider, symbol, parsedAmount, unlimitedApproval);
 
     // Repay the asset
     const tx = await contract.repay(symbol, parsedAmount);
@@ -162,21 +396,67 @@ export async function repayAsset(provider, symbol, amount) {
   }
 }
 
+// Repay utang `debtSymbol` borrower dan sita collateral `collateralSymbol`,
+// return event Liquidated
+export async function liquidatePosition(
+  provider,
+  borrower,
+  debtSymbol,
+  collateralSymbol,
+  amount,
+  { unlimitedApproval = false } = {}
+) {
+  try {
+    const contract = await getContractWithSigner(provider);
+    const parsedAmount = await parseTokenAmount(provider, debtSymbol, amount);
+
+    // Liquidator membayar utang dengan token utang
+    await approveIfNeeded(
+      provider,
+      debtSymbol,
+      parsedAmount,
+      unlimitedApproval
+    );
+
+    const tx = await contract.liquidate(
+      borrower,
+      debtSymbol,
+      collateralSymbol,
+      parsedAmount
+    );
+    const receipt = await tx.wait();
+    const event = receipt.events?.find((e) => e.event === "Liquidated");
+    return { tx, receipt, event };
+  } catch (error) {
+    console.error("Error liquidating position:", error);
+    throw error;
+  }
+}
+
 export async function getAssetDetails(provider, symbol) {
   try {
     const contract = await getReadOnlyContract(provider);
     const details = await contract.getAssetDetails(symbol);
     return {
-      tokenAddress: details[0],
-      priceFeedAddress: details[1],
-      collateralFactor: details[2].toString(),
-      borrowFactor: details[3].toString(),
-      liquidationThreshold: details[4].toString(),
-      totalSupplied: ethers.utils.formatEther(details[5]),
-      totalBorrowed: ethers.utils.formatEther(details[6]),
-      supplyInterestRate: details[7].toString(),
-      borrowInterestRate: details[8].toString(),
-      isActive: details[9],
+      tokenAddress: details.tokenAddress,
+      priceFeedAddress: details.priceFeedAddress,
+      collateralFactor: details.collateralFactor.toString(),
+      borrowFactor: details.borrowFactor.toString(),
+      liquidationThreshold: details.liquidationThreshold.toString(),
+      totalSupplied: await formatTokenAmount(
+        provider,
+        symbol,
+        details.totalSupplied
+      ),
+      totalBorrowed: await formatTokenAmount(
+        provider,
+        symbol,
+        details.totalBorrowed
+      ),
+      supplyInterestRate: details.supplyInterestRate.toString(),
+      borrowInterestRate: details.borrowInterestRate.toString(),
+      isActive: details.isActive,
+      liquidationBonus: details.liquidationBonus.toString(),
     };
   } catch (error) {
     console.error("Error getting asset details:", error);
@@ -184,11 +464,13 @@ export async function getAssetDetails(provider, symbol) {
   }
 }
 
-export async function getUserHealthFactor(provider, address, symbol) {
+// Health factor seluruh akun sebagai angka desimal, Infinity jika tidak ada pinjaman
+export async function getUserHealthFactor(provider, address) {
   try {
     const contract = await getReadOnlyContract(provider);
-    const healthFactor = await contract.getUserHealthFactor(symbol, address);
-    return ethers.utils.formatEther(healthFactor);
+    const healthFactor = await contract.getUserHealthFactor(address);
+    if (healthFactor.eq(ethers.constants.MaxUint256)) return "Infinity";
+    return ethers.utils.formatUnits(healthFactor, HEALTH_FACTOR_DECIMALS);
   } catch (error) {
     console.error("Error getting health factor:", error);
     throw error;